@@ -5,6 +5,7 @@ const { program } = require('commander');
 const { initConfig } = require('../src/init');
 const { syncOnce } = require('../src/sync');
 const { watchMode } = require('../src/watch');
+const { buildDocs } = require('../src/docs');
 
 program
   .name('post-api-sync')
@@ -54,4 +55,18 @@ program
     });
   });
 
+program
+  .command('docs')
+  .description('Build a static HTML documentation site')
+  .option('-c, --config <path>', 'Path to config file OR project directory')
+  .option('--cwd <path>', 'Project root (used for config + globs)')
+  .option('-o, --out <dir>', 'Output directory for the site')
+  .action(async (opts) => {
+    await buildDocs({
+      configPath: opts.config,
+      baseDir: opts.cwd,
+      outDir: opts.out
+    });
+  });
+
 program.parseAsync(process.argv);
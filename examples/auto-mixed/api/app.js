@@ -0,0 +1,8 @@
+const express = require('express');
+const ordersRouter = require('./orders.routes');
+
+const app = express();
+
+app.use('/api/orders', ordersRouter);
+
+module.exports = app;
@@ -0,0 +1,6 @@
+function contentType(req, res, next) {
+  res.set('X-Type', req.get('/content-type'));
+  next();
+}
+
+module.exports = { contentType };
@@ -0,0 +1,9 @@
+module.exports = (router) => {
+  router.get('/reports', (req, res) => {
+    res.json([]);
+  });
+
+  router.post('/reports', (req, res) => {
+    res.json(req.body);
+  });
+};
@@ -0,0 +1,5 @@
+import { json } from '@remix-run/node';
+
+export async function loader() {
+  return json([]);
+}
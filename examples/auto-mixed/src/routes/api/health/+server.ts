@@ -0,0 +1,5 @@
+import { json } from '@sveltejs/kit';
+
+export async function GET() {
+  return json({ ok: true });
+}
@@ -0,0 +1,14 @@
+const express = require('express');
+const usersRouter = require('./routes/users.routes');
+const ordersRouter = require('./routes/orders.routes');
+const { authenticate, requireAdmin } = require('./middleware');
+
+const app = express();
+
+app.use('/api/public', ordersRouter);
+
+app.use(authenticate);
+app.use('/api/users', requireAdmin, usersRouter);
+app.use('/api/orders', ordersRouter);
+
+module.exports = app;
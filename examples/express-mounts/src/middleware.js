@@ -0,0 +1,9 @@
+function authenticate(req, res, next) {
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  next();
+}
+
+module.exports = { authenticate, requireAdmin };
@@ -0,0 +1,42 @@
+const { extractAllEndpoints } = require('../src/extract');
+const path = require('path');
+
+const root = path.resolve(__dirname, '../examples/auto-mixed');
+const files = [
+    'src/routes/api/health/+server.ts',
+    'app/routes/api.users.ts',
+    'server/api/products.get.ts',
+    'api/app.js',
+    'api/orders.routes.js',
+    'api/reports.routes.js',
+    'api/headers.js'
+].map(file => path.join(root, file));
+
+// Auto mode keeps every framework's routes instead of stopping at the first one that matches
+function check(endpoints) {
+    const expected = {
+        'GET /api/health': 'SvelteKit',
+        'GET /api/users': 'Remix',
+        'GET /api/products': 'Nitro',
+        'GET /api/orders': 'Express',
+        // A router handed in by another file can't be confirmed as Express; Hono still reads it
+        'GET /reports': 'injected router',
+        'POST /reports': 'injected router'
+    };
+    for (const [key, framework] of Object.entries(expected)) {
+        if (!endpoints.find(e => e.key === key)) throw new Error(`Missing ${framework} route ${key}`);
+    }
+    if (endpoints.find(e => e.key === 'GET /content-type')) throw new Error('req.get() read as a route');
+
+    console.log('Verification Passed!');
+}
+
+extractAllEndpoints(files, 'auto')
+    .then((endpoints) => {
+        console.log(JSON.stringify(endpoints.map(e => e.key), null, 2));
+        check(endpoints);
+    })
+    .catch((e) => {
+        console.error('Verification Failed:', e.message);
+        process.exit(1);
+    });
@@ -0,0 +1,38 @@
+const { extractExpressEndpoints } = require('../src/extract/express');
+const path = require('path');
+
+const root = path.resolve(__dirname, '../examples/express-mounts/src');
+const files = [
+    path.join(root, 'app.js'),
+    path.join(root, 'routes/users.routes.js'),
+    path.join(root, 'routes/orders.routes.js')
+];
+
+// users.routes has a dot in its name but no real extension; the mount must still resolve
+function check(endpoints) {
+    const list = endpoints.find(e => e.key === 'GET /api/users');
+    if (!list) throw new Error('Missing GET /api/users');
+    if (!list.middleware.includes('authenticate')) throw new Error('GET /api/users did not inherit authenticate');
+    if (!list.middleware.includes('requireAdmin')) throw new Error('GET /api/users did not inherit requireAdmin');
+
+    if (!endpoints.find(e => e.key === 'GET /api/users/:id')) throw new Error('Missing GET /api/users/:id');
+    if (endpoints.find(e => e.key === 'GET /')) throw new Error('Router routes emitted without the mount prefix');
+
+    // app.use(authenticate) applies to the mounts after it, not the ones before
+    const orders = endpoints.find(e => e.key === 'GET /api/orders/orders');
+    if (!orders || !orders.middleware.includes('authenticate')) throw new Error('GET /api/orders/orders did not inherit app-level authenticate');
+    const publicOrders = endpoints.find(e => e.key === 'GET /api/public/orders');
+    if (!publicOrders || publicOrders.middleware.includes('authenticate')) throw new Error('GET /api/public/orders should not inherit authenticate');
+
+    console.log('Verification Passed!');
+}
+
+extractExpressEndpoints(files)
+    .then((endpoints) => {
+        console.log(JSON.stringify(endpoints.map(e => ({ key: e.key, middleware: e.middleware })), null, 2));
+        check(endpoints);
+    })
+    .catch((e) => {
+        console.error('Verification Failed:', e.message);
+        process.exit(1);
+    });
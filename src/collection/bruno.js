@@ -0,0 +1,242 @@
+const { buildPostmanCollection } = require('./postman');
+const { normalizePath, toPostmanPath, sanitizeFileName, graphqlOperationKey } = require('../utils');
+
+const DEFAULT_ENVIRONMENT_NAME = 'Local';
+const METHOD_BLOCKS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+const BLOCK_ORDER = [
+  'meta',
+  ...METHOD_BLOCKS,
+  'params:query',
+  'params:path',
+  'headers',
+  'body:json',
+  'body:graphql',
+  'body:graphql:vars'
+];
+
+function buildBrunoCollection(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const options = (config.output && config.output.bruno) || {};
+  const name = options.collectionName || postman.info.name;
+  const environmentName = options.environmentName || DEFAULT_ENVIRONMENT_NAME;
+
+  const requests = [];
+  collectRequests(postman.item, [], requests);
+
+  return {
+    name,
+    environment: {
+      name: environmentName,
+      variables: postman.variable.map((v) => ({ key: v.key, value: v.value === undefined ? '' : String(v.value) }))
+    },
+    requests
+  };
+}
+
+function collectRequests(items, folderPath, out) {
+  const usedNames = new Set();
+  let seq = 1;
+
+  for (const item of items || []) {
+    if (item.item) {
+      collectRequests(item.item, [...folderPath, sanitizeFileName(item.name)], out);
+      continue;
+    }
+
+    const request = toBrunoRequest(item);
+    let fileName = sanitizeFileName(item.name);
+    let counter = 2;
+    while (usedNames.has(fileName.toLowerCase())) {
+      fileName = `${sanitizeFileName(item.name)} ${counter}`;
+      counter += 1;
+    }
+    usedNames.add(fileName.toLowerCase());
+
+    request.seq = seq;
+    request.relPath = [...folderPath, `${fileName}.bru`].join('/');
+    out.push(request);
+    seq += 1;
+  }
+}
+
+function toBrunoRequest(item) {
+  const request = item.request || {};
+  const url = request.url || {};
+  const pathVariables = url.variable || [];
+  const pathVarNames = new Set(pathVariables.map((v) => v.key));
+
+  const rawPath = String(url.raw || '').split('?')[0];
+  const brunoUrl = rawPath.replace(/{{([A-Za-z0-9_]+)}}/g, (match, name) => (
+    pathVarNames.has(name) ? `:${name}` : match
+  ));
+
+  const query = (url.query || []).map((q) => ({
+    key: q.key,
+    value: q.value === undefined ? '' : String(q.value),
+    disabled: !!q.disabled
+  }));
+  const enabledQuery = query.filter((q) => !q.disabled).map((q) => `${q.key}=${q.value}`).join('&');
+
+  const method = String(request.method || 'GET').toUpperCase();
+  const body = request.body && request.body.mode === 'raw' ? request.body.raw : null;
+  const graphql = request.body && request.body.mode === 'graphql' ? request.body.graphql : null;
+
+  return {
+    name: item.name,
+    method,
+    url: enabledQuery ? `${brunoUrl}?${enabledQuery}` : brunoUrl,
+    key: `${brunoRequestKey(method, brunoUrl)}${graphql ? graphqlOperationKey(graphql.query) : ''}`,
+    query,
+    pathParams: pathVariables.map((v) => ({ key: v.key, value: String(v.value === undefined ? '' : v.value) })),
+    headers: (request.header || []).map((h) => ({ key: h.key, value: h.value })),
+    body,
+    graphql,
+    docs: request.description || ''
+  };
+}
+
+function brunoRequestKey(method, url) {
+  const pathOnly = String(url || '')
+    .replace(/\{\{\s*baseUrl(?:_[A-Za-z0-9_]+)?\s*\}\}/ig, '')
+    .split('?')[0]
+    .split('#')[0];
+  return `${String(method || '').toUpperCase()} ${normalizePath(toPostmanPath(pathOnly || '/'))}`;
+}
+
+function requestToBlocks(request) {
+  const blocks = [
+    {
+      name: 'meta',
+      entries: [
+        { key: 'name', value: request.name },
+        { key: 'type', value: 'http' },
+        { key: 'seq', value: String(request.seq || 1) }
+      ]
+    },
+    {
+      name: request.method.toLowerCase(),
+      entries: [
+        { key: 'url', value: request.url },
+        { key: 'body', value: request.graphql ? 'graphql' : request.body ? 'json' : 'none' },
+        { key: 'auth', value: 'none' }
+      ]
+    }
+  ];
+
+  if (request.query.length) blocks.push({ name: 'params:query', entries: request.query });
+  if (request.pathParams.length) blocks.push({ name: 'params:path', entries: request.pathParams });
+  if (request.headers.length) blocks.push({ name: 'headers', entries: request.headers });
+  if (request.body) blocks.push({ name: 'body:json', text: request.body });
+  if (request.graphql) {
+    blocks.push({ name: 'body:graphql', text: request.graphql.query });
+    blocks.push({ name: 'body:graphql:vars', text: request.graphql.variables });
+  }
+  if (request.docs) blocks.push({ name: 'docs', text: request.docs });
+
+  return blocks;
+}
+
+function environmentToBlocks(environment) {
+  return [{ name: 'vars', entries: environment.variables }];
+}
+
+function buildBrunoConfig(collection) {
+  return {
+    version: '1',
+    name: collection.name,
+    type: 'collection',
+    ignore: ['node_modules', '.git']
+  };
+}
+
+function isTextBlock(name) {
+  if (name === 'docs' || name === 'tests') return true;
+  if (name.startsWith('script:')) return true;
+  if (name.startsWith('body:')) {
+    return name !== 'body:form-urlencoded' && name !== 'body:multipart-form';
+  }
+  return false;
+}
+
+function serializeBru(blocks) {
+  const ordered = [...blocks].sort((a, b) => blockRank(a.name) - blockRank(b.name));
+
+  return `${ordered.map((block) => {
+    if (block.text !== undefined) {
+      const lines = String(block.text).split('\n').map((line) => (line ? `  ${line}` : ''));
+      return `${block.name} {\n${lines.join('\n')}\n}`;
+    }
+    const lines = (block.entries || []).map((entry) => {
+      const prefix = entry.disabled ? '~' : '';
+      const value = entry.value === undefined || entry.value === null ? '' : String(entry.value);
+      return `  ${prefix}${entry.key}: ${value}`.replace(/\s+$/, '');
+    });
+    return `${block.name} {\n${lines.join('\n')}\n}`;
+  }).join('\n\n')}\n`;
+}
+
+function blockRank(name) {
+  const idx = BLOCK_ORDER.indexOf(name);
+  if (idx >= 0) return idx;
+  if (name === 'docs') return BLOCK_ORDER.length + 100;
+  return BLOCK_ORDER.length;
+}
+
+function parseBru(text) {
+  const blocks = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  let current = null;
+  let buffer = [];
+
+  for (const line of lines) {
+    if (!current) {
+      const open = line.match(/^([A-Za-z][\w:-]*)\s*\{\s*$/);
+      if (open) {
+        current = open[1];
+        buffer = [];
+      }
+      continue;
+    }
+
+    if (line === '}') {
+      blocks.push(toBlock(current, buffer));
+      current = null;
+      continue;
+    }
+    buffer.push(line);
+  }
+
+  return blocks;
+}
+
+function toBlock(name, lines) {
+  if (isTextBlock(name)) {
+    return { name, text: lines.map((line) => line.replace(/^ {2}/, '')).join('\n') };
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const idx = trimmed.indexOf(':');
+    if (idx <= 0) continue;
+    let key = trimmed.slice(0, idx).trim();
+    const value = trimmed.slice(idx + 1).trim();
+    const disabled = key.startsWith('~');
+    if (disabled) key = key.slice(1);
+    entries.push(disabled ? { key, value, disabled } : { key, value });
+  }
+  return { name, entries };
+}
+
+module.exports = {
+  DEFAULT_ENVIRONMENT_NAME,
+  METHOD_BLOCKS,
+  buildBrunoCollection,
+  buildBrunoConfig,
+  requestToBlocks,
+  environmentToBlocks,
+  brunoRequestKey,
+  serializeBru,
+  parseBru
+};
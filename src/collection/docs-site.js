@@ -0,0 +1,304 @@
+const { normalizePath, toPostmanPath } = require('../utils');
+const {
+  buildItem,
+  buildAppBaseUrlMap,
+  resolveAppBaseUrls,
+  resolveBaseUrl,
+  normalizeAppVariableKey,
+  deriveFolderSegments,
+  cleanLabel,
+  toDisplayPath,
+  resolveSummary,
+  buildRequestDescription,
+  needsAuthorization,
+  graphqlRequestJson,
+  normalizeType
+} = require('./postman');
+
+const DEFAULT_TITLE = 'API Reference';
+
+function buildDocsSite(endpoints, config) {
+  const options = config.docs || {};
+  const title = options.title || DEFAULT_TITLE;
+  const appBaseUrls = resolveAppBaseUrls(config);
+  const appVarMap = buildAppBaseUrlMap(appBaseUrls);
+  const groupBy = (config.organization && config.organization.groupBy) || 'folder';
+
+  const variables = new Map([['baseUrl', resolveBaseUrl(config, appBaseUrls)]]);
+  for (const [appName, appUrl] of appBaseUrls) {
+    variables.set(`baseUrl_${normalizeAppVariableKey(appName)}`, appUrl);
+  }
+
+  const sections = new Map();
+  endpoints.forEach((endpoint) => {
+    const name = groupBy === 'folder'
+      ? deriveFolderSegments(endpoint, appVarMap).map((s) => cleanLabel(s)).join(' / ')
+      : cleanLabel((endpoint.tags && endpoint.tags[0]) || 'General');
+    if (!sections.has(name)) sections.set(name, []);
+    sections.get(name).push({ endpoint, item: buildItem(endpoint, appVarMap) });
+  });
+
+  let counter = 0;
+  const sidebar = [];
+  const content = [];
+  for (const [name, entries] of sections) {
+    const links = [];
+    const blocks = [];
+    for (const entry of entries) {
+      counter += 1;
+      const id = `ep-${counter}`;
+      const method = String(entry.endpoint.method || 'GET').toUpperCase();
+      const displayPath = toDisplayPath(entry.endpoint.path || '/');
+      const summary = resolveSummary(entry.endpoint);
+      const search = `${name} ${method} ${displayPath} ${summary}`.toLowerCase();
+      links.push(
+        `<li data-search="${escapeHtml(search)}"><a href="#${id}">${methodBadge(method)}<span>${escapeHtml(summary)}</span></a></li>`
+      );
+      blocks.push(renderEndpoint(entry, id, search, variables));
+    }
+    sidebar.push(`<li class="group"><div class="group-name">${escapeHtml(name)}</div><ul>${links.join('')}</ul></li>`);
+    content.push(`<section class="group-section"><h2>${escapeHtml(name)}</h2>${blocks.join('\n')}</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav class="sidebar">
+<h1>${escapeHtml(title)}</h1>
+<input type="search" id="search" placeholder="Search endpoints..." autocomplete="off">
+<ul class="groups">${sidebar.join('\n')}</ul>
+</nav>
+<main>
+${content.join('\n')}
+<p class="empty" id="no-results" hidden>No endpoints match your search.</p>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderEndpoint(entry, id, search, variables) {
+  const { endpoint, item } = entry;
+  const method = String(endpoint.method || 'GET').toUpperCase();
+  const postmanPath = toPostmanPath(normalizePath(endpoint.path || '/'));
+  const summary = resolveSummary(endpoint);
+  const description = buildRequestDescription(endpoint, summary);
+  const auth = needsAuthorization(endpoint, postmanPath);
+  const parts = [];
+
+  parts.push(`<h3>${methodBadge(method)}<code>${escapeHtml(toDisplayPath(endpoint.path || '/'))}</code></h3>`);
+  parts.push(`<p class="summary">${escapeHtml(summary)}${auth ? ' <span class="badge auth">Auth: Bearer</span>' : ''}</p>`);
+  if (description && description !== summary) {
+    parts.push(`<p class="description">${escapeHtml(description).replace(/\n/g, '<br>')}</p>`);
+  }
+
+  const pathVariables = (item.request.url.variable || []);
+  if (pathVariables.length) {
+    parts.push('<h4>Path parameters</h4>');
+    parts.push(renderTable(['Name', 'Example'], pathVariables.map((v) => [code(v.key), code(v.value)])));
+  }
+
+  const query = (endpoint.parameters && endpoint.parameters.query) || [];
+  if (query.length) {
+    const examples = item.request.url.query || [];
+    parts.push('<h4>Query parameters</h4>');
+    parts.push(renderTable(
+      ['Name', 'Type', 'Required', 'Example'],
+      query.map((q, idx) => [
+        code(q.key || q.name),
+        escapeHtml(normalizeType(q.type)),
+        q.required === true ? 'Yes' : 'No',
+        code(examples[idx] ? examples[idx].value : '')
+      ])
+    ));
+  }
+
+  const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
+  if (bodySchema) {
+    parts.push('<h4>Request body</h4>');
+    parts.push(`<div class="schema">${renderSchema(bodySchema, 0)}</div>`);
+    parts.push(`<pre class="example">${escapeHtml(requestBodyText(item.request.body))}</pre>`);
+  } else if (item.request.body && item.request.body.mode === 'graphql') {
+    parts.push('<h4>GraphQL operation</h4>');
+    parts.push(`<pre class="example">${escapeHtml(item.request.body.graphql.query)}</pre>`);
+  }
+
+  const curl = buildCurl(item.request, variables);
+  parts.push('<h4>curl</h4>');
+  parts.push(`<div class="snippet"><button type="button" class="copy">Copy</button><pre>${escapeHtml(curl)}</pre></div>`);
+
+  return `<article class="endpoint" id="${id}" data-search="${escapeHtml(search)}">${parts.join('\n')}</article>`;
+}
+
+function renderSchema(schema, depth) {
+  if (!schema || depth > 6) return '';
+  const type = normalizeType(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string'));
+
+  if (type === 'object' && schema.properties) {
+    const required = new Set(schema.required || []);
+    const rows = Object.entries(schema.properties).map(([key, value]) => {
+      const flags = [];
+      if (required.has(key)) flags.push('<span class="badge required">required</span>');
+      if (value && value.nullable) flags.push('<span class="badge">nullable</span>');
+      const meta = [];
+      if (value && value.description) meta.push(escapeHtml(value.description));
+      if (value && Array.isArray(value.enum) && value.enum.length) {
+        meta.push(`one of ${value.enum.map((v) => code(v)).join(', ')}`);
+      }
+      return `<li>${code(key)} <span class="type">${escapeHtml(describeType(value))}</span> ${flags.join(' ')}`
+        + `${meta.length ? `<div class="meta">${meta.join(' &middot; ')}</div>` : ''}`
+        + `${renderSchema(value, depth + 1)}</li>`;
+    });
+    return `<ul>${rows.join('')}</ul>`;
+  }
+
+  if (type === 'array' && schema.items) {
+    return renderSchema(schema.items, depth + 1);
+  }
+
+  return depth === 0 ? `<span class="type">${escapeHtml(describeType(schema))}</span>` : '';
+}
+
+function describeType(schema) {
+  const type = normalizeType(schema && schema.type ? schema.type : (schema && schema.properties ? 'object' : 'string'));
+  if (type === 'array') return `${describeType((schema && schema.items) || { type: 'string' })}[]`;
+  if (schema && schema.format) return `${type} (${schema.format})`;
+  return type;
+}
+
+function buildCurl(request, variables) {
+  const substitute = (value) => String(value || '').replace(/{{([A-Za-z0-9_]+)}}/g, (match, name) => (
+    variables.get(name) || `<${name}>`
+  ));
+
+  let target = String(request.url.raw || '');
+  for (const variable of request.url.variable || []) {
+    target = target.split(`{{${variable.key}}}`).join(String(variable.value));
+  }
+
+  const lines = [`curl -X ${request.method} ${shellQuote(substitute(target))}`];
+  for (const header of request.header || []) {
+    lines.push(`  -H ${shellQuote(`${header.key}: ${substitute(header.value)}`)}`);
+  }
+  const body = requestBodyText(request.body);
+  if (body) {
+    lines.push(`  -d ${shellQuote(substitute(body))}`);
+  }
+  return lines.join(' \\\n');
+}
+
+function requestBodyText(body) {
+  // GraphQL requests carry the operation and variables instead of a raw body
+  if (!body) return '';
+  if (body.mode === 'graphql' && body.graphql) return graphqlRequestJson(body.graphql);
+  return body.raw || '';
+}
+
+function renderTable(headers, rows) {
+  return `<table><thead><tr>${headers.map((h) => `<th>${h}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function methodBadge(method) {
+  return `<span class="method method-${escapeHtml(method.toLowerCase())}">${escapeHtml(method)}</span>`;
+}
+
+function code(value) {
+  return `<code>${escapeHtml(value === undefined || value === null ? '' : value)}</code>`;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+*{box-sizing:border-box}
+body{margin:0;font:14px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1f2328;display:flex}
+.sidebar{position:sticky;top:0;height:100vh;overflow:auto;width:300px;flex:none;background:#f6f8fa;border-right:1px solid #d0d7de;padding:16px}
+.sidebar h1{font-size:18px;margin:0 0 12px}
+#search{width:100%;padding:6px 8px;border:1px solid #d0d7de;border-radius:6px;margin-bottom:12px}
+.sidebar ul{list-style:none;margin:0;padding:0}
+.group-name{font-weight:600;margin:12px 0 4px}
+.sidebar a{display:flex;gap:6px;align-items:center;padding:2px 4px;border-radius:4px;color:inherit;text-decoration:none}
+.sidebar a:hover{background:#eaeef2}
+main{flex:1;min-width:0;padding:24px 32px;max-width:960px}
+h2{border-bottom:1px solid #d0d7de;padding-bottom:4px}
+.endpoint{border:1px solid #d0d7de;border-radius:8px;padding:16px;margin:16px 0}
+.endpoint h3{margin:0;display:flex;gap:8px;align-items:center}
+.method{display:inline-block;min-width:56px;text-align:center;font-size:11px;font-weight:700;color:#fff;border-radius:4px;padding:1px 6px;background:#6e7781}
+.method-get{background:#1f883d}.method-post{background:#0969da}.method-put{background:#9a6700}
+.method-patch{background:#8250df}.method-delete{background:#cf222e}
+.badge{font-size:11px;border-radius:10px;padding:1px 8px;background:#eaeef2}
+.badge.auth{background:#fff8c5}.badge.required{background:#ffebe9}
+table{border-collapse:collapse;margin:4px 0 8px}
+th,td{border:1px solid #d0d7de;padding:4px 8px;text-align:left}
+pre{background:#f6f8fa;border-radius:6px;padding:12px;overflow:auto;margin:4px 0}
+.schema ul{list-style:none;padding-left:16px;margin:4px 0}
+.schema>ul{padding-left:0}
+.type{color:#8250df}.meta{color:#57606a;font-size:12px}
+.snippet{position:relative}
+.copy{position:absolute;top:6px;right:6px;font-size:12px;cursor:pointer}
+.empty{color:#57606a}
+[hidden]{display:none!important}
+`;
+
+const SCRIPT = `
+(function () {
+  var input = document.getElementById('search');
+  var items = Array.prototype.slice.call(document.querySelectorAll('[data-search]'));
+  var groups = Array.prototype.slice.call(document.querySelectorAll('.group, .group-section'));
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var visible = 0;
+    items.forEach(function (el) {
+      var text = el.getAttribute('data-search');
+      var match = terms.every(function (t) { return text.indexOf(t) !== -1; });
+      el.hidden = !match;
+      if (match && el.tagName === 'ARTICLE') visible += 1;
+    });
+    groups.forEach(function (group) {
+      group.hidden = !group.querySelector('[data-search]:not([hidden])');
+    });
+    document.getElementById('no-results').hidden = visible > 0;
+  });
+  document.addEventListener('click', function (event) {
+    if (!event.target.classList.contains('copy')) return;
+    var pre = event.target.parentNode.querySelector('pre');
+    var text = pre.textContent;
+    var done = function () {
+      event.target.textContent = 'Copied';
+      setTimeout(function () { event.target.textContent = 'Copy'; }, 1500);
+    };
+    if (navigator.clipboard && window.isSecureContext) {
+      navigator.clipboard.writeText(text).then(done);
+      return;
+    }
+    var range = document.createRange();
+    range.selectNodeContents(pre);
+    var selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand('copy');
+    selection.removeAllRanges();
+    done();
+  });
+})();
+`;
+
+module.exports = { buildDocsSite };
@@ -0,0 +1,109 @@
+const { buildPostmanCollection, graphqlRequestJson } = require('./postman');
+
+const DEFAULT_ENVIRONMENT_NAME = 'Local';
+
+function buildHoppscotchCollection(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const top = toHoppscotchFolder({ name: postman.info.name, item: postman.item });
+
+  // Hoppscotch imports/exports an array of root collections
+  return [top];
+}
+
+function buildHoppscotchEnvironment(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const options = (config.output && config.output.hoppscotch) || {};
+
+  return {
+    v: 1,
+    name: options.environmentName || DEFAULT_ENVIRONMENT_NAME,
+    variables: postman.variable.map((v) => ({
+      key: v.key,
+      value: v.value === undefined ? '' : String(v.value),
+      secret: v.key === 'authToken'
+    }))
+  };
+}
+
+function toHoppscotchFolder(folder) {
+  const folders = [];
+  const requests = [];
+
+  for (const item of folder.item || []) {
+    if (item.item) {
+      folders.push(toHoppscotchFolder(item));
+    } else {
+      requests.push(toHoppscotchRequest(item));
+    }
+  }
+
+  return {
+    v: 2,
+    name: folder.name,
+    folders,
+    requests,
+    auth: { authType: 'inherit', authActive: true },
+    headers: []
+  };
+}
+
+function toHoppscotchRequest(item) {
+  const request = item.request || {};
+  const url = request.url || {};
+  const rawPath = String(url.raw || '').split('?')[0];
+
+  const headers = [];
+  let auth = { authType: 'none', authActive: true };
+  for (const header of request.header || []) {
+    if (String(header.key).toLowerCase() === 'authorization' && /^Bearer\s+/i.test(header.value)) {
+      auth = {
+        authType: 'bearer',
+        authActive: true,
+        token: toHoppscotchVars(header.value.replace(/^Bearer\s+/i, ''))
+      };
+      continue;
+    }
+    if (String(header.key).toLowerCase() === 'content-type') continue;
+    headers.push({ key: header.key, value: toHoppscotchVars(header.value), active: true });
+  }
+
+  let body = { contentType: null, body: null };
+  if (request.body && request.body.mode === 'raw') {
+    body = { contentType: 'application/json', body: toHoppscotchVars(request.body.raw) };
+  }
+  // Sent as a plain JSON POST; Hoppscotch keeps GraphQL requests in separate collections
+  if (request.body && request.body.mode === 'graphql') {
+    body = { contentType: 'application/json', body: graphqlRequestJson(request.body.graphql) };
+  }
+
+  return {
+    v: '2',
+    name: item.name,
+    method: String(request.method || 'GET').toUpperCase(),
+    endpoint: toHoppscotchVars(rawPath),
+    params: (url.query || []).map((q) => ({
+      key: q.key,
+      value: toHoppscotchVars(q.value === undefined ? '' : String(q.value)),
+      active: !q.disabled
+    })),
+    headers,
+    requestVariables: (url.variable || [])
+      .map((v) => ({
+        key: v.key,
+        value: toHoppscotchVars(v.value === undefined ? '' : String(v.value)),
+        active: true
+      }))
+      // A path variable that only points at the environment variable of the same name would shadow it
+      .filter((v) => v.value !== `<<${v.key}>>`),
+    auth,
+    body,
+    preRequestScript: '',
+    testScript: ''
+  };
+}
+
+function toHoppscotchVars(value) {
+  return String(value || '').replace(/{{\s*([A-Za-z0-9_]+)\s*}}/g, '<<$1>>');
+}
+
+module.exports = { buildHoppscotchCollection, buildHoppscotchEnvironment };
@@ -0,0 +1,118 @@
+const { normalizePath, toPostmanPath, sanitizeFileName } = require('../utils');
+const {
+  resolveAppBaseUrls,
+  resolveBaseUrl,
+  buildAppBaseUrlMap,
+  resolveEndpointBaseVarKey,
+  normalizeAppVariableKey,
+  deriveFolderSegments,
+  cleanLabel,
+  resolveSummary,
+  needsAuthorization,
+  buildQueryParams,
+  buildPathVariables,
+  exampleFromSchema
+} = require('./postman');
+
+// Marks the files sync owns, so stale ones can be removed without touching hand-written .http files
+const GENERATED_HEADER = '# Generated by post-api-sync. Do not edit by hand.';
+
+function buildHttpFiles(endpoints, config) {
+  const appBaseUrls = resolveAppBaseUrls(config);
+  const appVarMap = buildAppBaseUrlMap(appBaseUrls);
+
+  const knownValues = new Map([
+    ['baseUrl', resolveBaseUrl(config, appBaseUrls)],
+    ['authToken', ''],
+    ['userId', ''],
+    ['orderId', ''],
+    ['wholesaleCustomerId', '']
+  ]);
+  for (const [appName, appUrl] of appBaseUrls) {
+    knownValues.set(`baseUrl_${normalizeAppVariableKey(appName)}`, appUrl);
+  }
+
+  const groups = new Map();
+  for (const endpoint of endpoints) {
+    const segments = deriveFolderSegments(endpoint, appVarMap).map((s) => cleanLabel(s));
+    const relPath = `${segments.map((s) => sanitizeFileName(s, 'General')).join('/')}.http`;
+    if (!groups.has(relPath)) groups.set(relPath, []);
+    groups.get(relPath).push(buildHttpRequest(endpoint, appVarMap));
+  }
+
+  const files = new Map();
+  for (const [relPath, requests] of groups.entries()) {
+    files.set(relPath, renderHttpFile(requests, knownValues));
+  }
+  return files;
+}
+
+function buildHttpRequest(endpoint, appVarMap) {
+  const postmanPath = toPostmanPath(normalizePath(endpoint.path || '/'));
+  const baseVarKey = resolveEndpointBaseVarKey(endpoint, appVarMap);
+  const method = String(endpoint.method || 'GET').toUpperCase();
+
+  const queryString = buildQueryParams((endpoint.parameters && endpoint.parameters.query) || [])
+    .filter((q) => !q.disabled)
+    .map((q) => `${q.key}=${q.value || ''}`)
+    .join('&');
+
+  const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
+  let body = bodySchema ? JSON.stringify(exampleFromSchema(bodySchema), null, 2) : null;
+  // GraphQL operations are plain JSON POSTs of { query, variables }
+  if (endpoint.graphql) {
+    const variables = exampleFromSchema(endpoint.graphql.variables);
+    body = JSON.stringify({ query: endpoint.graphql.query, variables }, null, 2);
+  }
+  const headers = [];
+  if (body) headers.push('Content-Type: application/json');
+  if (needsAuthorization(endpoint, postmanPath)) headers.push('Authorization: Bearer {{authToken}}');
+
+  return {
+    title: `${resolveSummary(endpoint)} - ${method} ${normalizePath(endpoint.path || '/')}`,
+    requestLine: `${method} {{${baseVarKey}}}${postmanPath}${queryString ? `?${queryString}` : ''}`,
+    headers,
+    body,
+    pathVariables: buildPathVariables(postmanPath, endpoint)
+  };
+}
+
+function renderHttpFile(requests, knownValues) {
+  const blocks = requests.map((request) => {
+    const lines = [`### ${request.title}`, request.requestLine, ...request.headers];
+    if (request.body) lines.push('', request.body);
+    return lines.join('\n');
+  });
+
+  // Declare every {{variable}} the requests use, so the file runs without an env file
+  const values = new Map(knownValues);
+  for (const request of requests) {
+    for (const variable of request.pathVariables) {
+      if (!values.has(variable.key)) values.set(variable.key, variable.value);
+    }
+  }
+
+  const used = new Set();
+  for (const block of blocks) {
+    for (const match of block.matchAll(/{{([A-Za-z0-9_]+)}}/g)) used.add(match[1]);
+  }
+
+  const declarations = Array.from(used)
+    .sort((a, b) => variableRank(a) - variableRank(b) || a.localeCompare(b))
+    .map((name) => `@${name} = ${values.has(name) ? values.get(name) : ''}`.replace(/\s+$/, ''));
+
+  return `${GENERATED_HEADER}\n${declarations.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+}
+
+function isGeneratedHttpFile(contents) {
+  return String(contents || '').startsWith(GENERATED_HEADER);
+}
+
+function variableRank(name) {
+  if (name === 'baseUrl') return 0;
+  if (name.startsWith('baseUrl_')) return 1;
+  if (name === 'authToken') return 2;
+  return 3;
+}
+
+module.exports = { buildHttpFiles, isGeneratedHttpFile };
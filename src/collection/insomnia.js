@@ -1,6 +1,20 @@
 const { nanoid } = require('nanoid');
+const { buildAppBaseUrlMap, resolveAppBaseUrls, deriveFolderSegments, cleanLabel } = require('./postman');
+
+const V5_COLLECTION_TYPE = 'collection.insomnia.rest/5.0';
+const SOCKET_GROUP_NAME = 'WebSocket Events';
+const SOCKET_GROUP_ID = 'fld_websocket-events';
+
+function resolveInsomniaFormat(config) {
+  const format = String((config.output && config.output.insomnia && config.output.insomnia.format) || 'v4').toLowerCase();
+  return format === 'v5' ? 'v5' : 'v4';
+}
 
 function buildInsomniaCollection(endpoints, config) {
+  if (resolveInsomniaFormat(config) === 'v5') {
+    return buildInsomniaV5Collection(endpoints, config);
+  }
+
   const baseUrl = config.sources.baseUrl || 'http://localhost:3000';
   const workspaceId = `wrk_${nanoid(10)}`;
   const envId = `env_${nanoid(10)}`;
@@ -21,9 +35,37 @@ function buildInsomniaCollection(endpoints, config) {
   ];
 
   for (const endpoint of endpoints) {
+    if (isSocketEvent(endpoint)) continue;
     resources.push(buildRequest(endpoint, workspaceId));
   }
 
+  const socketEvents = endpoints.filter(isSocketEvent);
+  if (socketEvents.length) {
+    const groupId = SOCKET_GROUP_ID;
+    resources.push({ _id: groupId, _type: 'request_group', parentId: workspaceId, name: SOCKET_GROUP_NAME });
+    for (const endpoint of socketEvents) {
+      const request = buildSocketRequest(endpoint, baseUrl);
+      const requestId = socketResourceId('ws-req', endpoint.socket);
+      resources.push({
+        _id: requestId,
+        _type: 'websocket_request',
+        parentId: groupId,
+        name: request.name,
+        url: request.url,
+        description: request.description,
+        headers: [],
+        parameters: []
+      });
+      resources.push({
+        _id: socketResourceId('ws-payload', endpoint.socket),
+        _type: 'websocket_payload',
+        parentId: requestId,
+        mode: 'application/json',
+        value: request.payload
+      });
+    }
+  }
+
   return {
     _type: 'export',
     __export_format: 4,
@@ -33,10 +75,109 @@ function buildInsomniaCollection(endpoints, config) {
   };
 }
 
+function buildInsomniaV5Collection(endpoints, config) {
+  const baseUrl = config.sources.baseUrl || 'http://localhost:3000';
+  const now = Date.now();
+  const appVarMap = buildAppBaseUrlMap(resolveAppBaseUrls(config));
+  const groupBy = (config.organization && config.organization.groupBy) || 'folder';
+  const root = { children: [], groups: new Map() };
+
+  for (const endpoint of endpoints) {
+    if (isSocketEvent(endpoint)) continue;
+    const segments = groupBy === 'folder'
+      ? deriveFolderSegments(endpoint, appVarMap)
+      : [cleanLabel((endpoint.tags && endpoint.tags[0]) || 'General')];
+
+    let node = root;
+    for (const segment of segments) {
+      const name = cleanLabel(segment || 'General');
+      if (!node.groups.has(name)) {
+        const group = {
+          name,
+          meta: { id: `fld_${nanoid(10)}`, created: now, modified: now, sortKey: -(node.children.length + 1) },
+          children: [],
+          groups: new Map()
+        };
+        node.groups.set(name, group);
+        node.children.push(group);
+      }
+      node = node.groups.get(name);
+    }
+
+    node.children.push(toV5Request(buildRequest(endpoint, null), now, -(node.children.length + 1)));
+  }
+
+  const socketEvents = endpoints.filter(isSocketEvent);
+  if (socketEvents.length) {
+    root.children.push({
+      name: SOCKET_GROUP_NAME,
+      meta: { id: SOCKET_GROUP_ID, created: now, modified: now, sortKey: -(root.children.length + 1) },
+      children: socketEvents.map((endpoint, idx) => {
+        const request = buildSocketRequest(endpoint, baseUrl);
+        return {
+          url: request.url,
+          name: request.name,
+          meta: {
+            id: socketResourceId('ws-req', endpoint.socket),
+            created: now,
+            modified: now,
+            sortKey: -(idx + 1),
+            description: request.description
+          },
+          body: { mimeType: 'application/json', text: request.payload }
+        };
+      })
+    });
+  }
+
+  return {
+    type: V5_COLLECTION_TYPE,
+    name: (config.output && config.output.insomnia && config.output.insomnia.workspaceName) || 'API Workspace',
+    meta: { id: `wrk_${nanoid(10)}`, created: now, modified: now },
+    collection: stripGroupIndex(root.children),
+    cookieJar: {
+      name: 'Default Jar',
+      meta: { id: `jar_${nanoid(10)}`, created: now, modified: now }
+    },
+    environments: {
+      name: 'Base Environment',
+      meta: { id: `env_${nanoid(10)}`, created: now, modified: now, isPrivate: false },
+      data: { baseUrl }
+    }
+  };
+}
+
+function stripGroupIndex(children) {
+  return children.map((child) => {
+    if (!child.groups) return child;
+    const { groups, ...group } = child;
+    return { ...group, children: stripGroupIndex(child.children) };
+  });
+}
+
+function toV5Request(resource, now, sortKey) {
+  const request = {
+    url: resource.url,
+    name: resource.name,
+    meta: { id: resource._id, created: now, modified: now, sortKey },
+    method: resource.method
+  };
+  if (resource.body && resource.body.mimeType) request.body = resource.body;
+  if (resource.parameters.length) request.parameters = resource.parameters;
+  if (resource.headers.length) request.headers = resource.headers;
+  return request;
+}
+
 function buildRequest(endpoint, workspaceId) {
   const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
   const hasBody = !!bodySchema;
   const example = hasBody ? exampleFromSchema(bodySchema) : null;
+  let body = hasBody ? { mimeType: 'application/json', text: JSON.stringify(example || {}, null, 2) } : {};
+  if (endpoint.graphql) {
+    // Insomnia's GraphQL body keeps { query, variables } as JSON text
+    const variables = exampleFromSchema(endpoint.graphql.variables);
+    body = { mimeType: 'application/graphql', text: JSON.stringify({ query: endpoint.graphql.query, variables }, null, 2) };
+  }
 
   return {
     _id: `req_${nanoid(10)}`,
@@ -45,18 +186,68 @@ function buildRequest(endpoint, workspaceId) {
     name: endpoint.description || `${endpoint.method} ${endpoint.path}`,
     method: endpoint.method,
     url: `{{ _.baseUrl }}${endpoint.path}`,
-    headers: hasBody ? [{ name: 'Content-Type', value: 'application/json' }] : [],
+    headers: body.mimeType ? [{ name: 'Content-Type', value: 'application/json' }] : [],
     parameters: (endpoint.parameters && endpoint.parameters.query || []).map(q => ({
       name: q.name,
       value: '',
       disabled: !q.required
     })),
-    body: hasBody
-      ? {
-        mimeType: 'application/json',
-        text: JSON.stringify(example || {}, null, 2)
-      }
-      : {}
+    body
+  };
+}
+
+function isSocketEvent(endpoint) {
+  return endpoint.protocol === 'websocket' && !!endpoint.socket;
+}
+
+function socketResourceId(prefix, socket) {
+  // Derived from the namespace and event so a re-sync finds the same request
+  const slug = (value) => String(value || '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${prefix}_${slug(socket.namespace) || 'root'}_${slug(socket.event)}`;
+}
+
+function buildSocketUrl(baseUrl, socket) {
+  // Same host as the HTTP API, on the gateway's own port and path when it sets them
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    url = new URL('http://localhost:3000');
+  }
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  if (socket.port) url.port = String(socket.port);
+  if (socket.transport === 'ws') {
+    url.pathname = socket.path;
+    url.search = '';
+  } else {
+    url.pathname = `${socket.path.replace(/\/$/, '')}/`;
+    url.search = '?EIO=4&transport=websocket';
+  }
+  return url.toString();
+}
+
+function buildSocketRequest(endpoint, baseUrl) {
+  const { socket } = endpoint;
+  const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
+  const example = bodySchema ? exampleFromSchema(bodySchema) : {};
+  const name = socket.namespace === '/' ? socket.event : `${socket.namespace} ${socket.event}`;
+
+  if (socket.transport === 'ws') {
+    return {
+      name,
+      url: buildSocketUrl(baseUrl, socket),
+      description: endpoint.description,
+      payload: JSON.stringify({ event: socket.event, data: example }, null, 2)
+    };
+  }
+
+  // Socket.IO frames: 40 joins a namespace, 42 emits [event, data] on it
+  const namespacePrefix = socket.namespace === '/' ? '' : `${socket.namespace},`;
+  return {
+    name,
+    url: buildSocketUrl(baseUrl, socket),
+    description: `${endpoint.description}\n\nAfter connecting, send \`40${namespacePrefix}\` to join the namespace, then the payload.`,
+    payload: `42${namespacePrefix}${JSON.stringify([socket.event, example])}`
   };
 }
 
@@ -78,4 +269,4 @@ function exampleFromSchema(schema, depth = 0) {
   return {};
 }
 
-module.exports = { buildInsomniaCollection };
+module.exports = { buildInsomniaCollection, resolveInsomniaFormat };
@@ -0,0 +1,100 @@
+const { buildPostmanCollection, graphqlRequestJson } = require('./postman');
+
+const DEFAULT_OPTIONS = { vus: 1, iterations: 1, thresholds: { checks: ['rate==1'] } };
+
+function buildK6Script(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const options = (config.output && config.output.k6) || {};
+
+  const vars = postman.variable.map((v) => (
+    `  ${JSON.stringify(v.key)}: __ENV.${toEnvName(v.key)} || ${JSON.stringify(v.value === undefined ? '' : String(v.value))}`
+  ));
+
+  const body = renderItems(postman.item, 1);
+
+  return [
+    `// Generated by post-api-sync from ${JSON.stringify(postman.info.name)}. Do not edit by hand.`,
+    '// Run with: k6 run -e BASE_URL=http://localhost:3000/api -e AUTH_TOKEN=... <this file>',
+    "import http from 'k6/http';",
+    "import { check, group } from 'k6';",
+    '',
+    `export const options = ${JSON.stringify(options.options || DEFAULT_OPTIONS, null, 2)};`,
+    '',
+    'const VARS = {',
+    vars.join(',\n'),
+    '};',
+    '',
+    'function resolve(template) {',
+    "  return template.replace(/{{\\s*([A-Za-z0-9_]+)\\s*}}/g, (match, name) => (name in VARS ? VARS[name] : match));",
+    '}',
+    '',
+    'function is2xx(res) {',
+    '  return res.status >= 200 && res.status < 300;',
+    '}',
+    '',
+    'export default function () {',
+    body,
+    '}',
+    ''
+  ].join('\n');
+}
+
+function renderItems(items, depth) {
+  const indent = '  '.repeat(depth);
+  return (items || []).map((item) => {
+    if (item.item) {
+      return [
+        `${indent}group(${JSON.stringify(item.name)}, () => {`,
+        renderItems(item.item, depth + 1),
+        `${indent}});`
+      ].join('\n');
+    }
+    return renderRequest(item, indent);
+  }).join('\n\n');
+}
+
+function renderRequest(item, indent) {
+  const request = item.request || {};
+  const url = request.url || {};
+  const method = String(request.method || 'GET').toUpperCase();
+
+  // Path variables get the same example values the Postman collection uses
+  let target = String(url.raw || '');
+  for (const variable of url.variable || []) {
+    const value = variable.value === undefined ? '' : String(variable.value);
+    target = target.split(`{{${variable.key}}}`).join(value);
+  }
+
+  const headers = {};
+  for (const header of request.header || []) {
+    headers[header.key] = header.value;
+  }
+
+  let bodyExpr = 'null';
+  if (request.body && request.body.mode === 'raw') bodyExpr = `resolve(${JSON.stringify(request.body.raw)})`;
+  if (request.body && request.body.mode === 'graphql') {
+    bodyExpr = `resolve(${JSON.stringify(graphqlRequestJson(request.body.graphql))})`;
+  }
+  const headerEntries = Object.entries(headers)
+    .map(([key, value]) => `${JSON.stringify(key)}: resolve(${JSON.stringify(value)})`)
+    .join(', ');
+
+  return [
+    `${indent}{`,
+    `${indent}  const res = http.request(${JSON.stringify(method)}, resolve(${JSON.stringify(target)}), ${bodyExpr}, {`,
+    `${indent}    headers: ${headerEntries ? `{ ${headerEntries} }` : '{}'},`,
+    `${indent}    tags: { name: ${JSON.stringify(item.name)} }`,
+    `${indent}  });`,
+    `${indent}  check(res, { ${JSON.stringify(`${item.name} is 2xx`)}: is2xx });`,
+    `${indent}}`
+  ].join('\n');
+}
+
+function toEnvName(key) {
+  return String(key || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+module.exports = { buildK6Script };
@@ -0,0 +1,211 @@
+const { normalizePath, toPostmanPath } = require('../utils');
+const {
+  buildAppBaseUrlMap,
+  resolveAppBaseUrls,
+  resolveBaseUrl,
+  deriveFolderSegments,
+  cleanLabel,
+  toDisplayPath,
+  resolveSummary,
+  buildRequestDescription,
+  needsAuthorization,
+  buildQueryParams,
+  buildPathVariables,
+  exampleFromSchema,
+  normalizeType
+} = require('./postman');
+
+const DEFAULT_TITLE = 'API Reference';
+
+function buildMarkdownReference(endpoints, config) {
+  const options = (config.output && config.output.markdown) || {};
+  const appBaseUrls = resolveAppBaseUrls(config);
+  const sections = groupEndpoints(endpoints, config, buildAppBaseUrlMap(appBaseUrls));
+
+  const lines = [`# ${options.title || DEFAULT_TITLE}`, ''];
+  lines.push(`Base URL: \`${resolveBaseUrl(config, appBaseUrls)}\``);
+  for (const [appName, appUrl] of appBaseUrls) {
+    lines.push(`- ${cleanLabel(appName)}: \`${appUrl}\``);
+  }
+  lines.push('');
+
+  // Anchors are handed out in document order, so repeated headings get the same -1, -2 suffixes as on GitHub
+  const slug = createSlugger();
+  slug(options.title || DEFAULT_TITLE);
+  slug('Contents');
+  lines.push('## Contents', '');
+  for (const [name, list] of sections) {
+    lines.push(`- [${name}](#${slug(name)})`);
+    for (const endpoint of list) {
+      const heading = endpointHeading(endpoint);
+      lines.push(`  - [${heading}](#${slug(heading)})`);
+    }
+  }
+  lines.push('');
+
+  for (const [name, list] of sections) {
+    lines.push(`## ${name}`, '');
+    for (const endpoint of list) {
+      lines.push(...renderEndpoint(endpoint));
+    }
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+function groupEndpoints(endpoints, config, appVarMap) {
+  const groupBy = (config.organization && config.organization.groupBy) || 'folder';
+  const sections = new Map();
+
+  for (const endpoint of endpoints) {
+    const name = groupBy === 'folder'
+      ? deriveFolderSegments(endpoint, appVarMap).map((s) => cleanLabel(s)).join(' / ')
+      : cleanLabel((endpoint.tags && endpoint.tags[0]) || 'General');
+    if (!sections.has(name)) sections.set(name, []);
+    sections.get(name).push(endpoint);
+  }
+
+  return sections;
+}
+
+function endpointHeading(endpoint) {
+  return `${String(endpoint.method || 'GET').toUpperCase()} ${toDisplayPath(endpoint.path || '/')}`;
+}
+
+function renderEndpoint(endpoint) {
+  const postmanPath = toPostmanPath(normalizePath(endpoint.path || '/'));
+  const summary = resolveSummary(endpoint);
+  const description = buildRequestDescription(endpoint, summary);
+  const lines = [`### ${endpointHeading(endpoint)}`, ''];
+
+  lines.push(`**${summary}**`, '');
+  if (description && description !== summary) lines.push(description, '');
+
+  lines.push(needsAuthorization(endpoint, postmanPath)
+    ? '🔒 `Auth: Bearer token`'
+    : '🔓 `Auth: none`');
+  lines.push('');
+
+  const pathParams = renderPathParams(endpoint, postmanPath);
+  if (pathParams.length) lines.push('**Path parameters**', '', ...pathParams, '');
+
+  const queryParams = renderQueryParams(endpoint);
+  if (queryParams.length) lines.push('**Query parameters**', '', ...queryParams, '');
+
+  const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
+  if (bodySchema) {
+    const fields = [];
+    collectSchemaRows(bodySchema, '', fields, 0);
+    lines.push('**Request body** (`application/json`)', '');
+    if (fields.length) {
+      lines.push('| Field | Type | Required | Description |', '| --- | --- | --- | --- |');
+      for (const row of fields) {
+        lines.push(`| \`${row.name}\` | ${row.type} | ${row.required ? 'Yes' : 'No'} | ${escapeCell(row.description)} |`);
+      }
+      lines.push('');
+    }
+    lines.push('```json', JSON.stringify(exampleFromSchema(bodySchema), null, 2), '```', '');
+  }
+
+  return lines;
+}
+
+function renderPathParams(endpoint, postmanPath) {
+  const types = new Map();
+  const explicit = []
+    .concat((endpoint.parameters && endpoint.parameters.path) || [])
+    .concat((endpoint.parameters && endpoint.parameters.params) || []);
+  for (const param of explicit) {
+    const key = param && (param.key || param.name);
+    if (key) types.set(key, normalizeType(param.type));
+  }
+
+  const rows = buildPathVariables(postmanPath, endpoint);
+  if (!rows.length) return [];
+
+  return [
+    '| Name | Type | Example |',
+    '| --- | --- | --- |',
+    ...rows.map((row) => `| \`${row.key}\` | ${types.get(row.key) || 'string'} | \`${escapeCell(row.value)}\` |`)
+  ];
+}
+
+function renderQueryParams(endpoint) {
+  const query = (endpoint.parameters && endpoint.parameters.query) || [];
+  if (!query.length) return [];
+  const examples = buildQueryParams(query);
+
+  return [
+    '| Name | Type | Required | Example |',
+    '| --- | --- | --- | --- |',
+    ...query.map((q, idx) => {
+      const key = q.key || q.name;
+      const example = examples[idx] ? examples[idx].value : '';
+      return `| \`${key}\` | ${normalizeType(q.type)} | ${q.required === true ? 'Yes' : 'No'} | \`${escapeCell(example)}\` |`;
+    })
+  ];
+}
+
+function collectSchemaRows(schema, prefix, rows, depth) {
+  if (!schema || depth > 6) return;
+  const type = normalizeType(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string'));
+
+  if (type === 'object' && schema.properties) {
+    const required = new Set(schema.required || []);
+    for (const [key, value] of Object.entries(schema.properties)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      rows.push({
+        name,
+        type: describeType(value),
+        required: required.has(key),
+        description: describeField(value)
+      });
+      collectSchemaRows(value, name, rows, depth + 1);
+    }
+    return;
+  }
+
+  if (type === 'array' && schema.items) {
+    collectSchemaRows(schema.items, `${prefix}[]`, rows, depth + 1);
+  }
+}
+
+function describeType(schema) {
+  const type = normalizeType(schema && schema.type ? schema.type : (schema && schema.properties ? 'object' : 'string'));
+  if (type === 'array') return `${describeType((schema && schema.items) || { type: 'string' })}[]`;
+  if (schema && schema.format) return `${type} (${schema.format})`;
+  return type;
+}
+
+function describeField(schema) {
+  const parts = [];
+  if (schema && schema.description) parts.push(schema.description);
+  if (schema && Array.isArray(schema.enum) && schema.enum.length) {
+    parts.push(`One of: ${schema.enum.map((v) => `\`${v}\``).join(', ')}`);
+  }
+  if (schema && schema.nullable) parts.push('Nullable');
+  return parts.join('. ');
+}
+
+function escapeCell(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 _-]/g, '')
+    .replace(/ /g, '-');
+}
+
+function createSlugger() {
+  const counts = new Map();
+  return (text) => {
+    const base = slugify(text);
+    const count = counts.get(base) || 0;
+    counts.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+}
+
+module.exports = { buildMarkdownReference };
@@ -0,0 +1,308 @@
+const YAML = require('yaml');
+const { normalizePath, extractPathParams, HTTP_METHODS } = require('../utils');
+const {
+  resolveAppBaseUrls,
+  resolveBaseUrl,
+  buildAppBaseUrlMap,
+  resolveEndpointBaseVarKey,
+  normalizeAppVariableKey,
+  deriveFolderSegments,
+  toDisplayPath,
+  resolveSummary,
+  buildRequestDescription,
+  needsAuthorization,
+  exampleFromSchema,
+  normalizeType
+} = require('./postman');
+
+const DEFAULT_TITLE = 'API';
+const DEFAULT_VERSION = '1.0.0';
+const SECURITY_SCHEME = 'bearerAuth';
+
+function buildOpenApiDocument(endpoints, config) {
+  const options = (config.output && config.output.openapi) || {};
+  const appBaseUrls = resolveAppBaseUrls(config);
+  const baseUrl = resolveBaseUrl(config, appBaseUrls);
+  const appVarMap = buildAppBaseUrlMap(appBaseUrls);
+
+  const appServers = new Map();
+  for (const [appName, appUrl] of appBaseUrls) {
+    appServers.set(`baseUrl_${normalizeAppVariableKey(appName)}`, appUrl);
+  }
+
+  const paths = {};
+  const tagNames = new Set();
+  const operationIds = new Set();
+  let usesAuth = false;
+  const graphqlPaths = new Map();
+
+  for (const endpoint of endpoints) {
+    const method = String(endpoint.method || 'GET').toLowerCase();
+    if (!HTTP_METHODS.includes(method)) continue;
+
+    const openApiPath = toDisplayPath(endpoint.path || '/');
+    // GraphQL operations all share one URL; they become a single operation below
+    if (endpoint.graphql) {
+      if (!graphqlPaths.has(openApiPath)) graphqlPaths.set(openApiPath, []);
+      graphqlPaths.get(openApiPath).push(endpoint);
+      continue;
+    }
+    const operation = buildOperation(endpoint, appVarMap, operationIds);
+
+    const baseVarKey = resolveEndpointBaseVarKey(endpoint, appVarMap);
+    if (appServers.has(baseVarKey)) {
+      operation.servers = [{ url: appServers.get(baseVarKey) }];
+    }
+
+    if (needsAuthorization(endpoint, endpoint.path)) {
+      operation.security = [{ [SECURITY_SCHEME]: [] }];
+      usesAuth = true;
+    }
+
+    for (const tag of operation.tags) tagNames.add(tag);
+
+    if (!paths[openApiPath]) paths[openApiPath] = {};
+    paths[openApiPath][method] = operation;
+  }
+
+  for (const [openApiPath, operations] of graphqlPaths) {
+    const operation = buildGraphqlOperation(operations, operationIds);
+    if (operations.some((endpoint) => needsAuthorization(endpoint, endpoint.path))) {
+      operation.security = [{ [SECURITY_SCHEME]: [] }];
+      usesAuth = true;
+    }
+    tagNames.add('GraphQL');
+    if (!paths[openApiPath]) paths[openApiPath] = {};
+    paths[openApiPath].post = operation;
+  }
+
+  const doc = {
+    openapi: '3.1.0',
+    info: {
+      title: options.title || (config.output && config.output.postman && config.output.postman.collectionName) || DEFAULT_TITLE,
+      version: options.version || DEFAULT_VERSION
+    },
+    servers: [{ url: baseUrl }],
+    tags: Array.from(tagNames).sort().map((name) => ({ name })),
+    paths
+  };
+
+  if (usesAuth) {
+    doc.components = {
+      securitySchemes: {
+        [SECURITY_SCHEME]: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    };
+  }
+
+  return doc;
+}
+
+function buildOperation(endpoint, appVarMap, operationIds) {
+  const summary = resolveSummary(endpoint);
+  const description = buildRequestDescription(endpoint, summary);
+  const tags = endpoint.tags && endpoint.tags.length
+    ? endpoint.tags.map(String)
+    : [deriveFolderSegments(endpoint, appVarMap).join(' / ')];
+
+  const operation = {
+    tags,
+    summary,
+    operationId: uniqueOperationId(endpoint, operationIds)
+  };
+
+  if (description && description !== summary) operation.description = description;
+
+  const parameters = [
+    ...buildPathParameters(endpoint),
+    ...buildQueryParameters(endpoint)
+  ];
+  if (parameters.length) operation.parameters = parameters;
+
+  const bodySchema = endpoint.parameters && endpoint.parameters.body ? endpoint.parameters.body : null;
+  if (bodySchema) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: toOpenApiSchema(bodySchema),
+          example: exampleFromSchema(bodySchema)
+        }
+      }
+    };
+  }
+
+  operation.responses = {
+    200: { description: 'Successful response' }
+  };
+
+  return operation;
+}
+
+function buildGraphqlOperation(operations, operationIds) {
+  const examples = {};
+  const lines = [];
+  for (const endpoint of operations) {
+    const { operationType, operationName, query, variables } = endpoint.graphql;
+    lines.push(`- \`${operationType} ${operationName}\`${endpoint.description ? `: ${endpoint.description}` : ''}`);
+    examples[`${operationType}_${operationName}`] = {
+      summary: `${operationType} ${operationName}`,
+      value: { query, variables: exampleFromSchema(variables) }
+    };
+  }
+
+  return {
+    tags: ['GraphQL'],
+    summary: 'GraphQL endpoint',
+    description: `Operations sent to this endpoint:\n\n${lines.join('\n')}`,
+    operationId: uniqueOperationId(operations[0], operationIds),
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              variables: { type: 'object' },
+              operationName: { type: 'string' }
+            },
+            required: ['query']
+          },
+          examples
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Successful response' }
+    }
+  };
+}
+
+function buildPathParameters(endpoint) {
+  const params = new Map();
+  for (const name of extractPathParams(normalizePath(endpoint.path || '/'))) {
+    params.set(name, { name, type: 'string' });
+  }
+
+  const explicit = []
+    .concat((endpoint.parameters && endpoint.parameters.path) || [])
+    .concat((endpoint.parameters && endpoint.parameters.params) || []);
+
+  for (const param of explicit) {
+    const key = param && (param.key || param.name);
+    if (!key || !params.has(key)) continue;
+    params.set(key, { name: key, type: param.type, example: param.example });
+  }
+
+  return Array.from(params.values()).map((param) => {
+    const out = {
+      name: param.name,
+      in: 'path',
+      required: true,
+      schema: { type: toOpenApiType(param.type) }
+    };
+    if (param.example !== undefined) out.example = param.example;
+    return out;
+  });
+}
+
+function buildQueryParameters(endpoint) {
+  const query = (endpoint.parameters && endpoint.parameters.query) || [];
+  const seen = new Set();
+  const out = [];
+
+  for (const q of query) {
+    const name = q && (q.key || q.name);
+    if (!name || seen.has(name)) continue;
+    seen.add(name);
+
+    const param = {
+      name,
+      in: 'query',
+      required: q.required === true
+    };
+    if (q.schema) {
+      param.content = { 'application/json': { schema: toOpenApiSchema(q.schema), example: exampleFromSchema(q.schema) } };
+    } else {
+      param.schema = { type: toOpenApiType(q.type) };
+      if (q.example !== undefined && q.example !== '') param.example = q.example;
+    }
+    out.push(param);
+  }
+
+  return out;
+}
+
+function toOpenApiSchema(schema, depth = 0) {
+  if (!schema || depth > 8) return {};
+
+  const type = toOpenApiType(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string'));
+  const out = { type: schema.nullable ? [type, 'null'] : type };
+
+  if (schema.format) out.format = schema.format;
+  if (schema.description) out.description = schema.description;
+  if (Array.isArray(schema.enum) && schema.enum.length) out.enum = schema.enum;
+  if (schema.example !== undefined) out.examples = [schema.example];
+
+  if (type === 'object' && schema.properties) {
+    out.properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) {
+      out.properties[key] = toOpenApiSchema(value, depth + 1);
+    }
+    if (Array.isArray(schema.required) && schema.required.length) {
+      out.required = schema.required;
+    }
+  }
+
+  if (type === 'array') {
+    out.items = toOpenApiSchema(schema.items || { type: 'string' }, depth + 1);
+  }
+
+  return out;
+}
+
+function toOpenApiType(type) {
+  const value = normalizeType(type);
+  if (['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'].includes(value)) return value;
+  return 'string';
+}
+
+function uniqueOperationId(endpoint, operationIds) {
+  const method = String(endpoint.method || 'GET').toLowerCase();
+  const words = normalizePath(endpoint.path || '/')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      const param = segment.match(/^(?::|{{?)([A-Za-z0-9_]+)}?}?$/);
+      if (param) return `By ${param[1]}`;
+      return segment;
+    })
+    .join(' ')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  const base = method + words.map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  let id = base;
+  let counter = 2;
+  while (operationIds.has(id)) {
+    id = `${base}${counter}`;
+    counter += 1;
+  }
+  operationIds.add(id);
+  return id;
+}
+
+function resolveOpenApiFormat(options, outputPath) {
+  const format = String((options && options.format) || '').toLowerCase();
+  if (format === 'yaml' || format === 'yml') return 'yaml';
+  if (format === 'json') return 'json';
+  return /\.ya?ml$/i.test(String(outputPath || '')) ? 'yaml' : 'json';
+}
+
+function serializeOpenApiDocument(doc, format) {
+  if (format === 'yaml') return YAML.stringify(doc);
+  return `${JSON.stringify(doc, null, 2)}\n`;
+}
+
+module.exports = { buildOpenApiDocument, resolveOpenApiFormat, serializeOpenApiDocument };
@@ -22,8 +22,13 @@ function normalizeAppVariableKey(value) {
 }
 
 function resolveAppBaseUrls(config) {
-  const configured = config && config.sources && config.sources.appBaseUrls;
-  if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+  let configured = config && config.sources && config.sources.appBaseUrls;
+  if (!isPlainObject(configured)) {
+    // Without sources.appBaseUrls, the first environment decides which apps get their own variable
+    const environments = resolveEnvironments(config);
+    configured = environments.length ? environments[0].appBaseUrls : null;
+  }
+  if (!isPlainObject(configured)) {
     return [];
   }
 
@@ -32,6 +37,63 @@ function resolveAppBaseUrls(config) {
     .filter(([name, url]) => !!name && !!url);
 }
 
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveEnvironments(config) {
+  const configured = config && config.environments;
+  if (!isPlainObject(configured)) return [];
+
+  return Object.entries(configured)
+    .filter(([name, env]) => !!String(name || '').trim() && isPlainObject(env))
+    .map(([name, env]) => ({
+      name: String(name).trim(),
+      baseUrl: env.baseUrl,
+      appBaseUrls: isPlainObject(env.appBaseUrls) ? env.appBaseUrls : null,
+      authToken: env.authToken,
+      variables: isPlainObject(env.variables) ? env.variables : {}
+    }));
+}
+
+function isEnvironmentVariableKey(key) {
+  return key === 'baseUrl' || key === 'authToken' || /^baseUrl_/.test(String(key || ''));
+}
+
+function buildPostmanEnvironments(config) {
+  return resolveEnvironments(config).map((env) => {
+    const appBaseUrls = resolveAppBaseUrls({ sources: { appBaseUrls: env.appBaseUrls } });
+    const baseUrl = env.baseUrl || (appBaseUrls.length ? appBaseUrls[0][1] : resolveBaseUrl(config, resolveAppBaseUrls(config)));
+    const values = [
+      { key: 'baseUrl', value: baseUrl, type: 'default', enabled: true },
+      { key: 'authToken', value: env.authToken ? String(env.authToken) : '', type: 'secret', enabled: true }
+    ];
+
+    for (const [appName, appUrl] of appBaseUrls) {
+      values.push({
+        key: `baseUrl_${normalizeAppVariableKey(appName)}`,
+        value: appUrl,
+        type: 'default',
+        enabled: true
+      });
+    }
+
+    for (const [key, value] of Object.entries(env.variables)) {
+      if (values.find((v) => v.key === key)) continue;
+      values.push({ key, value: value === undefined || value === null ? '' : String(value), type: 'default', enabled: true });
+    }
+
+    return {
+      id: nanoid(),
+      name: env.name,
+      values,
+      _postman_variable_scope: 'environment',
+      _postman_exported_at: new Date().toISOString(),
+      _postman_exported_using: 'post-api-sync'
+    };
+  });
+}
+
 function resolveBaseUrl(config, appBaseUrls) {
   if (config && config.sources && config.sources.baseUrl) return config.sources.baseUrl;
   if (appBaseUrls.length) return appBaseUrls[0][1];
@@ -208,7 +270,7 @@ function buildItem(endpoint, appVarMap) {
   const hasBody = !!bodySchema;
 
   const headers = [];
-  if (hasBody) {
+  if (hasBody || endpoint.graphql) {
     headers.push({ key: 'Content-Type', value: 'application/json', type: 'text' });
   }
 
@@ -249,12 +311,33 @@ function buildItem(endpoint, appVarMap) {
     };
   }
 
+  if (endpoint.graphql) {
+    request.body = {
+      mode: 'graphql',
+      graphql: {
+        query: endpoint.graphql.query,
+        variables: JSON.stringify(exampleFromSchema(endpoint.graphql.variables), null, 2)
+      }
+    };
+  }
+
   return {
     name: `${summary} - ${method} ${displayPath}`,
     request
   };
 }
 
+function graphqlRequestJson(graphql) {
+  // The { query, variables } JSON a GraphQL server expects, for clients without a GraphQL body mode
+  let variables = {};
+  try {
+    variables = JSON.parse(graphql.variables || '{}');
+  } catch {
+    variables = {};
+  }
+  return JSON.stringify({ query: graphql.query, variables }, null, 2);
+}
+
 function deriveFolderName(endpoint) {
   if (endpoint.filePath) {
     const parts = endpoint.filePath.split(path.sep).filter(Boolean);
@@ -265,6 +348,16 @@ function deriveFolderName(endpoint) {
 
     if (base === 'routes') return cleanLabel(parent || grandparent || 'General');
 
+    // File-system routes (app/users/[id]/route.ts, src/routes/users/+server.ts) are named after the closest static folder
+    if (base === 'route' || base === '+server') {
+      return cleanLabel(closestStaticSegment(parts.slice(0, -1)) || 'General');
+    }
+
+    // Remix flat routes (app/routes/api.users.$id.ts) carry their folders in the file name
+    if (parent === 'routes' && grandparent === 'app') {
+      return cleanLabel(closestStaticSegment([base]) || 'General');
+    }
+
     if (base.endsWith('.routes')) {
       if (parent === 'routes' && grandparent) return cleanLabel(grandparent);
       const routeStem = base.replace(/\.routes$/i, '');
@@ -290,6 +383,10 @@ function deriveFolderName(endpoint) {
     }
 
     if (parent) {
+      // Dynamic folders (server/api/users/[id]/...) are named after the closest static folder
+      if (/^[[(]/.test(parent)) {
+        return cleanLabel(closestStaticSegment(parts.slice(0, -1)) || 'General');
+      }
       if (parent === 'routes' && grandparent) return cleanLabel(grandparent);
       return cleanLabel(parent);
     }
@@ -302,6 +399,12 @@ function deriveFolderName(endpoint) {
   return cleanLabel(inferDomainFromPath(endpoint.path || '/'));
 }
 
+function closestStaticSegment(parts) {
+  // Skips [id], (group), @slot, $param and _layout segments, splitting Remix's dotted names
+  const segments = parts.flatMap((part) => (part.startsWith('[') ? [part] : part.split('.')));
+  return segments.reverse().find((seg) => seg && !/^[[(@$_]/.test(seg)) || '';
+}
+
 function deriveFolderSegments(endpoint, appVarMap) {
   const filePath = String(endpoint && endpoint.filePath ? endpoint.filePath : '');
   const appSegments = deriveAppAndModuleSegments(filePath, appVarMap);
@@ -559,6 +662,8 @@ function buildRequestDescription(endpoint, summary) {
 }
 
 function needsAuthorization(endpoint, postmanPath) {
+  // auth: false is an explicit opt-out, e.g. Hapi's options.auth = false
+  if (endpoint.auth === false) return false;
   if (endpoint.auth) return true;
 
   const middlewareNames = []
@@ -592,11 +697,14 @@ function buildQueryParams(queryParams) {
       q.example !== '' &&
       !preferInferredQueryExample(key, q.example);
 
+    // JSON-encoded params (e.g. tRPC ?input=) carry a schema instead of a primitive type
     const rawExample = q.value !== undefined
       ? q.value
       : useProvidedExample
         ? q.example
-        : inferred;
+        : q.schema
+          ? exampleFromSchema(q.schema)
+          : inferred;
 
     const value = toQueryStringValue(rawExample);
     const item = { key, value };
@@ -778,4 +886,25 @@ function clone(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
-module.exports = { buildPostmanCollection };
+module.exports = {
+  buildPostmanCollection,
+  buildPostmanEnvironments,
+  isEnvironmentVariableKey,
+  buildItem,
+  resolveAppBaseUrls,
+  resolveBaseUrl,
+  buildAppBaseUrlMap,
+  resolveEndpointBaseVarKey,
+  normalizeAppVariableKey,
+  deriveFolderSegments,
+  cleanLabel,
+  toDisplayPath,
+  resolveSummary,
+  buildRequestDescription,
+  needsAuthorization,
+  buildQueryParams,
+  buildPathVariables,
+  exampleFromSchema,
+  graphqlRequestJson,
+  normalizeType
+};
@@ -0,0 +1,184 @@
+const { nanoid } = require('nanoid');
+const { buildPostmanCollection } = require('./postman');
+const { normalizePath, toPostmanPath, graphqlOperationKey } = require('../utils');
+
+const THUNDER_VERSION = '1.1';
+const SORT_STEP = 10000;
+const DEFAULT_ENVIRONMENT_NAME = 'Local';
+
+function buildThunderCollection(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const options = (config.output && config.output.thunderClient) || {};
+  const now = new Date().toISOString();
+  const colId = nanoid();
+
+  const folders = [];
+  const requests = [];
+  collectItems(postman.item, '', { colId, now, folders, requests });
+
+  return {
+    client: 'Thunder Client',
+    collectionName: options.collectionName || postman.info.name,
+    dateExported: now,
+    version: THUNDER_VERSION,
+    folders,
+    requests,
+    settings: {}
+  };
+}
+
+function buildThunderEnvironment(endpoints, config) {
+  const postman = buildPostmanCollection(endpoints, config);
+  const options = (config.output && config.output.thunderClient) || {};
+
+  return {
+    client: 'Thunder Client',
+    environmentName: options.environmentName || DEFAULT_ENVIRONMENT_NAME,
+    dateExported: new Date().toISOString(),
+    version: THUNDER_VERSION,
+    folder: '',
+    data: postman.variable.map((v) => ({
+      name: v.key,
+      value: v.value === undefined ? '' : String(v.value)
+    }))
+  };
+}
+
+// Thunder Client's "Save To Workspace" files (thunder-tests/), which the extension reloads when they change
+function toThunderWorkspaceCollection(collection) {
+  const { client, collectionName, dateExported, version, _id, colName, created, sortNum, ...rest } = collection;
+  const colId = collection.requests.length ? collection.requests[0].colId : _id || nanoid();
+  return {
+    _id: colId,
+    colName: collectionName,
+    created: created || dateExported,
+    sortNum: sortNum || SORT_STEP,
+    ...rest
+  };
+}
+
+function toThunderWorkspaceEnvironment(environment) {
+  const { client, environmentName, dateExported, version, folder, _id, name, created, sortNum, ...rest } = environment;
+  return {
+    _id: _id || nanoid(),
+    name: environmentName,
+    default: false,
+    sortNum: sortNum || SORT_STEP,
+    created: created || dateExported,
+    ...rest,
+    modified: dateExported
+  };
+}
+
+function thunderWorkspaceFileName(prefix, name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${prefix}_${slug || 'untitled'}.json`;
+}
+
+function collectItems(items, containerId, ctx) {
+  let sortNum = SORT_STEP;
+  for (const item of items || []) {
+    if (item.item) {
+      const folder = {
+        _id: nanoid(),
+        name: item.name,
+        containerId,
+        created: ctx.now,
+        sortNum
+      };
+      ctx.folders.push(folder);
+      collectItems(item.item, folder._id, ctx);
+    } else {
+      ctx.requests.push(toThunderRequest(item, containerId, sortNum, ctx));
+    }
+    sortNum += SORT_STEP;
+  }
+}
+
+function toThunderRequest(item, containerId, sortNum, ctx) {
+  const request = item.request || {};
+  const url = request.url || {};
+  const pathVariables = url.variable || [];
+  const pathVarNames = new Set(pathVariables.map((v) => v.key));
+
+  // Thunder Client marks path params as {name} and keeps {{name}} for environment variables
+  const rawPath = String(url.raw || '').split('?')[0];
+  const thunderUrl = rawPath.replace(/{{([A-Za-z0-9_]+)}}/g, (match, name) => (
+    pathVarNames.has(name) ? `{${name}}` : match
+  ));
+
+  const headers = [];
+  let auth = { type: 'none' };
+  for (const header of request.header || []) {
+    if (String(header.key).toLowerCase() === 'authorization' && /^Bearer\s+/i.test(header.value)) {
+      auth = { type: 'bearer', bearer: header.value.replace(/^Bearer\s+/i, '') };
+      continue;
+    }
+    headers.push({ name: header.key, value: header.value });
+  }
+
+  const params = [
+    ...(url.query || []).map((q) => ({
+      name: q.key,
+      value: q.value === undefined ? '' : String(q.value),
+      isDisabled: !!q.disabled,
+      isPath: false
+    })),
+    ...pathVariables.map((v) => ({
+      name: v.key,
+      value: v.value === undefined ? '' : String(v.value),
+      isPath: true
+    }))
+  ];
+
+  const enabledQuery = (url.query || [])
+    .filter((q) => !q.disabled)
+    .map((q) => `${q.key}=${q.value || ''}`)
+    .join('&');
+
+  const out = {
+    _id: nanoid(),
+    colId: ctx.colId,
+    containerId,
+    name: item.name,
+    url: enabledQuery ? `${thunderUrl}?${enabledQuery}` : thunderUrl,
+    method: String(request.method || 'GET').toUpperCase(),
+    sortNum,
+    created: ctx.now,
+    modified: ctx.now,
+    headers,
+    params,
+    auth,
+    tests: []
+  };
+
+  if (request.body && request.body.mode === 'raw') {
+    out.body = { type: 'json', raw: request.body.raw, form: [] };
+  }
+  if (request.body && request.body.mode === 'graphql') {
+    out.body = { type: 'graphql', raw: '', form: [], graphql: { ...request.body.graphql } };
+  }
+
+  return out;
+}
+
+function thunderRequestKey(request) {
+  if (!request || !request.method || !request.url) return null;
+  const pathOnly = String(request.url)
+    .replace(/\{\{\s*baseUrl(?:_[A-Za-z0-9_]+)?\s*\}\}/ig, '')
+    .split('?')[0]
+    .split('#')[0];
+  // GraphQL operations share one URL, so the operation in the query tells them apart
+  const graphql = request.body && request.body.type === 'graphql' && request.body.graphql;
+  const operation = graphql ? graphqlOperationKey(graphql.query) : '';
+  return `${String(request.method).toUpperCase()} ${normalizePath(toPostmanPath(pathOnly || '/'))}${operation}`;
+}
+
+module.exports = {
+  buildThunderCollection,
+  buildThunderEnvironment,
+  toThunderWorkspaceCollection,
+  toThunderWorkspaceEnvironment,
+  thunderWorkspaceFileName,
+  thunderRequestKey
+};
@@ -7,19 +7,31 @@ const DEFAULT_INCLUDE = [
   'src/**/routes.{js,ts}',
   'src/**/*.routes.{js,ts}',
   'src/**/*.controller.ts',
+  'src/**/*.resolver.ts',
+  'src/**/*.gateway.ts',
   'src/**/*router.{js,ts}',
+  'src/**/{app,server,index}.{js,ts}',
   'apps/**/src/**/routes.{js,ts}',
   'apps/**/src/**/*.routes.{js,ts}',
   'apps/**/src/**/*.controller.ts',
+  'apps/**/src/**/*.resolver.ts',
+  'apps/**/src/**/*.gateway.ts',
   'apps/**/src/**/*router.{js,ts}',
+  'apps/**/src/**/{app,server,index}.{js,ts}',
   'services/**/src/**/routes.{js,ts}',
   'services/**/src/**/*.routes.{js,ts}',
   'services/**/src/**/*.controller.ts',
+  'services/**/src/**/*.resolver.ts',
+  'services/**/src/**/*.gateway.ts',
   'services/**/src/**/*router.{js,ts}',
+  'services/**/src/**/{app,server,index}.{js,ts}',
   'libs/**/src/**/routes.{js,ts}',
   'libs/**/src/**/*.routes.{js,ts}',
   'libs/**/src/**/*.controller.ts',
-  'libs/**/src/**/*router.{js,ts}'
+  'libs/**/src/**/*.resolver.ts',
+  'libs/**/src/**/*.gateway.ts',
+  'libs/**/src/**/*router.{js,ts}',
+  'libs/**/src/**/{app,server,index}.{js,ts}'
 ];
 
 const DEFAULT_CONFIG = {
@@ -37,8 +49,45 @@ const DEFAULT_CONFIG = {
     insomnia: {
       enabled: true,
       outputPath: './collections/insomnia-collection.json'
+    },
+    openapi: {
+      enabled: false,
+      outputPath: './collections/openapi.json'
+    },
+    bruno: {
+      enabled: false,
+      outputPath: './collections/bruno'
+    },
+    http: {
+      enabled: false,
+      outputPath: './collections/http'
+    },
+    hoppscotch: {
+      enabled: false,
+      outputPath: './collections/hoppscotch-collection.json',
+      environmentPath: './collections/hoppscotch-environment.json'
+    },
+    thunderClient: {
+      enabled: false,
+      outputPath: './collections/thunder-collection.json',
+      environmentPath: './collections/thunder-environment.json',
+      workspacePath: './thunder-tests'
+    },
+    k6: {
+      enabled: false,
+      outputPath: './collections/k6-smoke.js'
+    },
+    markdown: {
+      enabled: false,
+      outputPath: './docs/api-reference.md'
     }
   },
+  graphql: {
+    endpoint: '/graphql'
+  },
+  docs: {
+    outputPath: './docs/site'
+  },
   watch: {
     enabled: true,
     debounce: 300
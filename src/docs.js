@@ -0,0 +1,27 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { loadConfig, ensureAbsolute } = require('./config');
+const { collectEndpoints } = require('./sync');
+const { buildDocsSite } = require('./collection/docs-site');
+const { isHttpEndpoint } = require('./utils');
+const { success, error } = require('./log');
+
+async function buildDocs({ configPath, baseDir, outDir } = {}) {
+  try {
+    const { config, baseDir: resolvedBase } = await loadConfig(configPath, baseDir);
+    const cwd = resolvedBase || process.cwd();
+    const endpoints = (await collectEndpoints(config, cwd)).filter(isHttpEndpoint);
+
+    const targetDir = outDir
+      ? path.resolve(process.cwd(), outDir)
+      : ensureAbsolute((config.docs && config.docs.outputPath) || './docs/site', cwd);
+    const outPath = path.join(targetDir, 'index.html');
+    await fs.outputFile(outPath, buildDocsSite(endpoints, config));
+    success(`Docs site written to ${path.relative(process.cwd(), outPath)}`);
+  } catch (err) {
+    error(err.stack || err.message || String(err));
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { buildDocs };
@@ -0,0 +1,489 @@
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
+const { normalizePath, joinPaths, toKey, HTTP_METHODS } = require('../utils');
+const { resolveTypeBoxSchema } = require('./typebox');
+const { parseCallChain } = require('./hono');
+const { middlewareNameFromNode } = require('./express');
+
+const ELYSIA_CLASS_NAMES = new Set(['Elysia']);
+const ELYSIA_METHODS = new Set([...HTTP_METHODS, 'all']);
+const HOOK_KEYS = ['beforeHandle', 'onBeforeHandle', 'transform', 'resolve'];
+
+function getStringLiteral(node) {
+  if (!node) return '';
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.quasis.length === 1) {
+    return node.quasis[0].value.cooked || '';
+  }
+  return '';
+}
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function getObjectProperty(node, keyName) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  for (const prop of node.properties || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    if (getPropertyName(prop.key) === keyName) return prop.value;
+  }
+  return null;
+}
+
+function isRequireCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+function isElysiaNewExpression(node) {
+  return !!node && node.type === 'NewExpression' && node.callee.type === 'Identifier' &&
+    ELYSIA_CLASS_NAMES.has(node.callee.name);
+}
+
+function hasElysiaTypeAnnotation(param) {
+  const annotation = param && param.typeAnnotation && param.typeAnnotation.typeAnnotation;
+  return !!annotation && annotation.type === 'TSTypeReference' &&
+    annotation.typeName.type === 'Identifier' && ELYSIA_CLASS_NAMES.has(annotation.typeName.name);
+}
+
+function getReturnedExpression(fn) {
+  if (!isFunctionNode(fn)) return null;
+  if (fn.body.type !== 'BlockStatement') return fn.body;
+  const ret = fn.body.body.find((stmt) => stmt.type === 'ReturnStatement');
+  return ret ? ret.argument : null;
+}
+
+function getFunctionChain(fn) {
+  // (app) => app.get(...) or (app) => { return app.get(...) }
+  if (!isFunctionNode(fn) || !fn.params.length || fn.params[0].type !== 'Identifier') return null;
+  const expr = getReturnedExpression(fn);
+  if (!expr) return null;
+  const { root, calls } = parseCallChain(expr);
+  if (!root || root.type !== 'Identifier' || root.name !== fn.params[0].name) return null;
+  return calls;
+}
+
+function collectHookNames(hooksNode) {
+  const names = [];
+  for (const key of HOOK_KEYS) {
+    const value = getObjectProperty(hooksNode, key);
+    if (!value) continue;
+    const list = value.type === 'ArrayExpression' ? value.elements : [value];
+    for (const el of list || []) {
+      const name = middlewareNameFromNode(el);
+      if (name) names.push(name);
+    }
+  }
+  return names;
+}
+
+function schemaToParamList(schema, forceRequired = false) {
+  if (!schema || !schema.properties) return [];
+  return Object.entries(schema.properties).map(([key, val]) => ({
+    name: key,
+    key,
+    required: forceRequired || !val.optional,
+    type: val.type || 'string',
+    example: val.example
+  }));
+}
+
+async function parseElysiaFile(filePath) {
+  const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const instances = new Map(); // id -> { prefix, confirmed }
+  const endpoints = [];
+  const mounts = [];
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
+  const schemaDefs = new Map();
+  const models = new Map();
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
+
+  function resolveSchema(node) {
+    // Elysia lets hooks refer to models registered with .model({ name: t.Object(...) })
+    if (node && node.type === 'StringLiteral') {
+      return models.has(node.value) ? resolveTypeBoxSchema(models.get(node.value), schemaDefs) : null;
+    }
+    const resolved = resolveTypeBoxSchema(node, schemaDefs);
+    return resolved && resolved.properties ? resolved : null;
+  }
+
+  function parseHooks(hooksNode) {
+    const out = { parameters: {}, middleware: collectHookNames(hooksNode), tags: [] };
+    if (!hooksNode || hooksNode.type !== 'ObjectExpression') return out;
+
+    const body = resolveSchema(getObjectProperty(hooksNode, 'body'));
+    if (body) out.parameters.body = body;
+    const query = schemaToParamList(resolveSchema(getObjectProperty(hooksNode, 'query')));
+    if (query.length) out.parameters.query = query;
+    const params = schemaToParamList(resolveSchema(getObjectProperty(hooksNode, 'params')), true);
+    if (params.length) out.parameters.path = params;
+
+    const detail = getObjectProperty(hooksNode, 'detail');
+    const summary = getStringLiteral(getObjectProperty(detail, 'summary'));
+    if (summary) out.summary = summary;
+    const description = getStringLiteral(getObjectProperty(detail, 'description'));
+    if (description) out.description = description;
+    const tags = getObjectProperty(detail, 'tags');
+    if (tags && tags.type === 'ArrayExpression') {
+      out.tags = tags.elements.map((el) => getStringLiteral(el)).filter(Boolean);
+    }
+    return out;
+  }
+
+  function resolvePluginRef(node) {
+    if (!node) return null;
+    // .use(usersPlugin) / .use(usersPlugin()) / .use(require('./users'))
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && !isRequireCall(node)) {
+      return { ident: node.callee.name };
+    }
+    if (node.type === 'Identifier') return { ident: node.name };
+    if (isRequireCall(node)) {
+      const resolved = resolveImportFile(baseDir, node.arguments[0].value);
+      return resolved ? { sourceFile: resolved, importName: 'default' } : null;
+    }
+    if (isElysiaNewExpression(parseCallChain(node).root) || isFunctionNode(node)) return { inline: node };
+    return null;
+  }
+
+  function processChain(instanceId, calls, ctx) {
+    let scope = { ...ctx, middleware: [...ctx.middleware] };
+
+    for (const call of calls) {
+      const args = call.args;
+
+      if (call.name === 'model' && args[0] && args[0].type === 'ObjectExpression') {
+        for (const prop of args[0].properties || []) {
+          const key = prop.type === 'ObjectProperty' ? getPropertyName(prop.key) : null;
+          if (key) models.set(key, prop.value);
+        }
+        continue;
+      }
+
+      if (call.name === 'onBeforeHandle') {
+        // Applies to every route registered after it on this instance
+        for (const arg of args) {
+          const name = middlewareNameFromNode(arg);
+          if (name) scope.middleware.push(name);
+        }
+        continue;
+      }
+
+      if (call.name === 'group') {
+        const prefix = getStringLiteral(args[0]);
+        const fn = args.find((arg) => isFunctionNode(arg));
+        const hooks = args.length > 2 ? args[1] : null;
+        const inner = getFunctionChain(fn);
+        if (!inner) continue;
+        processChain(instanceId, inner, {
+          prefix: joinPaths(scope.prefix, prefix),
+          middleware: [...scope.middleware, ...collectHookNames(hooks)]
+        });
+        continue;
+      }
+
+      if (call.name === 'guard') {
+        const hooks = args[0];
+        const inner = getFunctionChain(args[1]);
+        const guardMiddleware = collectHookNames(hooks);
+        if (inner) {
+          processChain(instanceId, inner, { prefix: scope.prefix, middleware: [...scope.middleware, ...guardMiddleware] });
+        } else {
+          // .guard({ beforeHandle }) without a callback guards the rest of the chain
+          scope = { ...scope, middleware: [...scope.middleware, ...guardMiddleware] };
+        }
+        continue;
+      }
+
+      if (call.name === 'use') {
+        const ref = resolvePluginRef(args[0]);
+        if (!ref) continue;
+        if (ref.inline) {
+          const childId = registerInline(ref.inline);
+          if (childId) mounts.push({ parentId: instanceId, ref: { local: childId }, prefix: scope.prefix, middleware: scope.middleware });
+          continue;
+        }
+        mounts.push({ parentId: instanceId, ref, prefix: scope.prefix, middleware: scope.middleware });
+        continue;
+      }
+
+      let method = null;
+      let pathArg = null;
+      let hooksArg = null;
+      if (ELYSIA_METHODS.has(call.name)) {
+        method = call.name === 'all' ? 'ALL' : call.name.toUpperCase();
+        pathArg = args[0];
+        hooksArg = args[2];
+      } else if (call.name === 'route') {
+        method = getStringLiteral(args[0]).toUpperCase();
+        pathArg = args[1];
+        hooksArg = args[3];
+      }
+      if (!method || !pathArg) continue;
+      const routePath = getStringLiteral(pathArg);
+      if (!routePath && pathArg.type !== 'StringLiteral') continue;
+
+      const parsed = parseHooks(hooksArg);
+      endpoints.push({
+        instanceId,
+        method,
+        path: joinPaths(scope.prefix, routePath || '/'),
+        summary: parsed.summary,
+        description: parsed.description,
+        tags: parsed.tags,
+        middleware: Array.from(new Set([...scope.middleware, ...parsed.middleware])),
+        parameters: parsed.parameters
+      });
+    }
+  }
+
+  let inlineCounter = 0;
+  function registerInline(node) {
+    inlineCounter += 1;
+    const id = `<inline#${inlineCounter}>`;
+    return registerInstance(id, node) ? id : null;
+  }
+
+  function registerInstance(id, node) {
+    // new Elysia({ prefix }).get(...)..., also when returned from a plugin factory
+    const returned = isFunctionNode(node) && !node.params.length ? getReturnedExpression(node) : null;
+    const { root, calls } = parseCallChain(returned || node);
+    if (isElysiaNewExpression(root)) {
+      const opts = root.arguments && root.arguments[0];
+      instances.set(id, { prefix: getStringLiteral(getObjectProperty(opts, 'prefix')), confirmed: true });
+      processChain(id, calls, { prefix: '', middleware: [] });
+      return true;
+    }
+
+    // Functional plugins: (app: Elysia) => app.get(...)
+    const fnCalls = getFunctionChain(node);
+    if (fnCalls) {
+      instances.set(id, { prefix: '', confirmed: hasElysiaTypeAnnotation(node.params[0]) });
+      processChain(id, fnCalls, { prefix: '', middleware: [] });
+      return true;
+    }
+    return false;
+  }
+
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      for (const spec of p.node.specifiers || []) {
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportSpecifier') {
+          registerImport(spec.local.name, source, getPropertyName(spec.imported));
+        }
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          registerImport(prop.value.name, node.init.arguments[0].value, getPropertyName(prop.key));
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      if (isRequireCall(node.init)) {
+        registerImport(node.id.name, node.init.arguments[0].value, 'default');
+        return;
+      }
+      if (registerInstance(node.id.name, node.init)) return;
+      if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression') {
+        schemaDefs.set(node.id.name, node.init);
+      }
+    },
+
+    FunctionDeclaration(p) {
+      if (!p.node.id) return;
+      if (p.parentPath.isProgram() || p.parentPath.isExportNamedDeclaration()) {
+        registerInstance(p.node.id.name, p.node);
+      }
+    },
+
+    ExpressionStatement(p) {
+      // app.get(...) statements on an instance declared earlier
+      const expr = p.node.expression;
+      if (expr.type !== 'CallExpression') return;
+      const { root, calls } = parseCallChain(expr);
+      if (!root || root.type !== 'Identifier' || !instances.has(root.name)) return;
+      const binding = p.scope.getBinding(root.name);
+      if (!binding || binding.scope.block.type !== 'Program') return;
+      processChain(root.name, calls, { prefix: '', middleware: [] });
+    },
+
+    ExportDefaultDeclaration(p) {
+      const decl = p.node.declaration;
+      if (!decl) return;
+      if (decl.type === 'Identifier') {
+        exports.default = decl.name;
+        return;
+      }
+      const id = decl.id ? decl.id.name : 'default';
+      if (registerInstance(id, decl)) exports.default = id;
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      const decl = node.declaration;
+      if (decl && decl.type === 'VariableDeclaration') {
+        for (const d of decl.declarations) {
+          if (d.id.type === 'Identifier') exports.named.set(d.id.name, d.id.name);
+        }
+      }
+      if (decl && decl.type === 'FunctionDeclaration' && decl.id) exports.named.set(decl.id.name, decl.id.name);
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local.name);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression' || right.type !== 'Identifier') return;
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      if (objectName === 'module' && propName === 'exports') {
+        exports.default = right.name;
+        return;
+      }
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) exports.named.set(propName, right.name);
+    }
+  });
+
+  return { filePath, instances, endpoints, mounts, exports, imports };
+}
+
+function instanceKey(filePath, id) {
+  return `${filePath}::${id}`;
+}
+
+function resolveExportedInstance(target, importName) {
+  if (!target) return null;
+  const localName = importName === 'default' ? target.exports.default : target.exports.named.get(importName);
+  if (!localName || !target.instances.has(localName)) return null;
+  return instanceKey(target.filePath, localName);
+}
+
+function resolveMountTarget(ref, data, fileDataMap) {
+  if (ref.local) return instanceKey(data.filePath, ref.local);
+  if (ref.sourceFile) return resolveExportedInstance(fileDataMap.get(ref.sourceFile), ref.importName);
+  if (data.instances.has(ref.ident)) return instanceKey(data.filePath, ref.ident);
+  if (data.imports.has(ref.ident)) {
+    const imp = data.imports.get(ref.ident);
+    return resolveExportedInstance(fileDataMap.get(imp.sourceFile), imp.importName);
+  }
+  return null;
+}
+
+async function extractElysiaEndpoints(files) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseElysiaFile(file);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  const instances = new Map();
+  for (const data of fileDataMap.values()) {
+    for (const [id, instance] of data.instances.entries()) {
+      instances.set(instanceKey(data.filePath, id), instance);
+    }
+  }
+
+  const edges = new Map();
+  const childHasParent = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const mount of data.mounts) {
+      const parentId = instanceKey(data.filePath, mount.parentId);
+      const childId = resolveMountTarget(mount.ref, data, fileDataMap);
+      if (!childId || !instances.has(childId) || childId === parentId) continue;
+      if (!edges.has(parentId)) edges.set(parentId, []);
+      edges.get(parentId).push({ childId, prefix: mount.prefix, middleware: mount.middleware });
+      childHasParent.add(childId);
+      // A function passed to .use() on an Elysia instance is a plugin even without a type annotation
+      if (instances.get(parentId) && instances.get(parentId).confirmed) instances.get(childId).confirmed = true;
+    }
+  }
+
+  // Prefixes accumulate down the .use() tree: mount prefix + the instance's own prefix + group prefixes
+  const contexts = new Map();
+  const queue = [];
+  function visit(id, mountPrefix, inherited) {
+    const instance = instances.get(id);
+    const prefix = joinPaths(mountPrefix, instance.prefix || '');
+    const seen = contexts.get(id) || new Map();
+    if (seen.has(prefix)) return;
+    seen.set(prefix, inherited);
+    contexts.set(id, seen);
+    queue.push({ id, prefix, middleware: inherited });
+  }
+
+  for (const id of instances.keys()) {
+    if (!childHasParent.has(id)) visit(id, '', []);
+  }
+
+  while (queue.length) {
+    const { id, prefix, middleware } = queue.shift();
+    for (const edge of edges.get(id) || []) {
+      visit(edge.childId, joinPaths(prefix, edge.prefix), [...middleware, ...edge.middleware]);
+    }
+  }
+
+  const results = [];
+  for (const data of fileDataMap.values()) {
+    for (const endpoint of data.endpoints) {
+      const id = instanceKey(data.filePath, endpoint.instanceId);
+      const instance = instances.get(id);
+      if (!instance || !instance.confirmed) continue;
+      for (const [prefix, inherited] of (contexts.get(id) || new Map([['', []]])).entries()) {
+        const fullPath = normalizePath(joinPaths(prefix, endpoint.path));
+        results.push({
+          method: endpoint.method,
+          path: fullPath,
+          summary: endpoint.summary,
+          description: endpoint.description || `${endpoint.method} ${fullPath}`,
+          tags: endpoint.tags || [],
+          middleware: Array.from(new Set([...inherited, ...endpoint.middleware])),
+          parameters: endpoint.parameters || {},
+          filePath: data.filePath,
+          key: toKey(endpoint.method, fullPath)
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { extractElysiaEndpoints };
@@ -0,0 +1,232 @@
+// express-validator fields are required unless the chain calls .optional()
+const CHAIN_LOCATIONS = {
+  body: ['body'],
+  query: ['query'],
+  param: ['path'],
+  check: null // any location; settled by the HTTP method
+};
+const SCHEMA_LOCATIONS = { body: 'body', query: 'query', params: 'path' };
+
+// Validators and sanitizers that say something about the field's type or format
+const VALIDATOR_TYPES = {
+  isString: { type: 'string' },
+  isInt: { type: 'integer' },
+  toInt: { type: 'integer' },
+  isFloat: { type: 'number' },
+  isDecimal: { type: 'number' },
+  isNumeric: { type: 'number' },
+  toFloat: { type: 'number' },
+  isBoolean: { type: 'boolean' },
+  toBoolean: { type: 'boolean' },
+  isArray: { type: 'array', items: { type: 'string' } },
+  isObject: { type: 'object' },
+  isEmail: { type: 'string', format: 'email' },
+  isURL: { type: 'string', format: 'uri' },
+  isUUID: { type: 'string', format: 'uuid' },
+  isISO8601: { type: 'string', format: 'date-time' },
+  isDate: { type: 'string', format: 'date' },
+  toDate: { type: 'string', format: 'date-time' }
+};
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function literalFromNode(node) {
+  if (!node) return undefined;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    return node.value;
+  }
+  if (node.type === 'NullLiteral') return null;
+  if (node.type === 'ArrayExpression') {
+    return (node.elements || []).map((el) => literalFromNode(el));
+  }
+  if (node.type === 'ObjectExpression') {
+    const out = {};
+    for (const prop of node.properties || []) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (!key) continue;
+      out[key] = literalFromNode(prop.value);
+    }
+    return out;
+  }
+  return undefined;
+}
+
+function getFieldNames(node) {
+  // body('email') / body(['email', 'username'])
+  const value = literalFromNode(node);
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter((name) => typeof name === 'string' && name);
+}
+
+function applyValidator(field, name, args) {
+  const out = { ...field };
+  if (VALIDATOR_TYPES[name]) Object.assign(out, VALIDATOR_TYPES[name]);
+  if (name === 'optional') out.optional = true;
+  if (name === 'isIn') {
+    const values = literalFromNode(args[0]);
+    if (Array.isArray(values) && values.length) {
+      out.enum = values;
+      out.example = values[0];
+    }
+  }
+  if (name === 'default') {
+    const value = literalFromNode(args[0]);
+    if (value !== undefined) out.example = value;
+  }
+  return out;
+}
+
+function parseValidatorChain(node) {
+  // body('age').optional().isInt() -> walk back to body(...), then replay the chain
+  const calls = [];
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    calls.unshift({ name: getPropertyName(current.callee.property), args: current.arguments || [] });
+    current = current.callee.object;
+  }
+  if (!current || current.type !== 'CallExpression' || current.callee.type !== 'Identifier') return null;
+  const factory = current.callee.name;
+  if (!Object.prototype.hasOwnProperty.call(CHAIN_LOCATIONS, factory)) return null;
+  const names = getFieldNames(current.arguments[0]);
+  if (!names.length) return null;
+
+  let field = { type: 'string' };
+  for (const call of calls) field = applyValidator(field, call.name, call.args);
+  return { names, locations: CHAIN_LOCATIONS[factory], field };
+}
+
+function isExpressValidatorChain(node) {
+  // body('email').isEmail() and checkSchema({...}) are validators, not named middleware
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    current = current.callee.object;
+  }
+  if (!current || current.type !== 'CallExpression' || current.callee.type !== 'Identifier') return false;
+  const factory = current.callee.name;
+  return factory === 'checkSchema' || Object.prototype.hasOwnProperty.call(CHAIN_LOCATIONS, factory);
+}
+
+function parseSchemaField(config) {
+  // checkSchema({ email: { in: ['body'], isEmail: true, optional: true } })
+  let field = { type: 'string' };
+  let locations = null;
+  for (const prop of (config && config.properties) || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    const name = getPropertyName(prop.key);
+    if (name === 'in') {
+      const value = literalFromNode(prop.value);
+      const list = Array.isArray(value) ? value : [value];
+      locations = list.map((location) => SCHEMA_LOCATIONS[location]).filter(Boolean);
+      continue;
+    }
+    if (prop.value.type === 'BooleanLiteral' && !prop.value.value) continue;
+    // isIn: { options: [['a', 'b']] } passes the validator arguments as options
+    const options = prop.value.type === 'ObjectExpression'
+      ? (prop.value.properties || []).find((p) => p.type === 'ObjectProperty' && getPropertyName(p.key) === 'options')
+      : null;
+    const args = options && options.value.type === 'ArrayExpression' ? options.value.elements : [];
+    field = applyValidator(field, name, args);
+  }
+  return { locations, field };
+}
+
+function parseCheckSchema(node) {
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'Identifier') return [];
+  if (node.callee.name !== 'checkSchema') return [];
+  const schema = node.arguments[0];
+  if (!schema || schema.type !== 'ObjectExpression') return [];
+  // checkSchema(schema, ['body']) sets the default locations
+  const defaults = literalFromNode(node.arguments[1]);
+  const defaultLocations = Array.isArray(defaults)
+    ? defaults.map((location) => SCHEMA_LOCATIONS[location]).filter(Boolean)
+    : null;
+
+  const fields = [];
+  for (const prop of schema.properties || []) {
+    if (prop.type !== 'ObjectProperty' || prop.value.type !== 'ObjectExpression') continue;
+    const name = getPropertyName(prop.key);
+    if (!name) continue;
+    const { locations, field } = parseSchemaField(prop.value);
+    fields.push({ names: [name], locations: locations && locations.length ? locations : defaultLocations, field });
+  }
+  return fields;
+}
+
+function setField(schema, name, field) {
+  // address.city and items.*.id nest into objects and arrays
+  const parts = name.split('.');
+  const containers = [];
+  let target = schema;
+  for (const part of parts.slice(0, -1)) {
+    if (part === '*') {
+      target.type = 'array';
+      delete target.properties;
+      if (!target.items || !target.items.properties) target.items = { type: 'object', properties: {} };
+      target = target.items;
+      continue;
+    }
+    target.properties = target.properties || {};
+    if (!target.properties[part] || !(target.properties[part].properties || target.properties[part].items)) {
+      target.properties[part] = { type: 'object', properties: {}, optional: true };
+    }
+    target = target.properties[part];
+    containers.push(target);
+  }
+  // A required nested field makes its parents required too
+  if (!field.optional) containers.forEach((container) => delete container.optional);
+
+  const last = parts[parts.length - 1];
+  if (last === '*') {
+    target.type = 'array';
+    delete target.properties;
+    target.items = field;
+    return;
+  }
+  target.properties = target.properties || {};
+  target.properties[last] = { ...(target.properties[last] || {}), ...field };
+}
+
+function withRequiredLists(schema) {
+  if (schema.items) return { ...schema, items: withRequiredLists(schema.items) };
+  if (!schema.properties) return schema;
+  const properties = {};
+  for (const [key, value] of Object.entries(schema.properties)) properties[key] = withRequiredLists(value);
+  const required = Object.entries(properties)
+    .filter(([, value]) => !value.optional)
+    .map(([key]) => key);
+  return { ...schema, properties, required: required.length ? required : undefined };
+}
+
+function resolveExpressValidators(nodes, httpMethod) {
+  // Returns { body, query, path } object schemas built from every validator chain in the route
+  const fields = [];
+  for (const node of nodes) {
+    const chain = parseValidatorChain(node);
+    if (chain) fields.push(chain);
+    fields.push(...parseCheckSchema(node));
+  }
+  if (!fields.length) return null;
+
+  const fallback = ['GET', 'DELETE', 'HEAD'].includes(httpMethod) ? 'query' : 'body';
+  const segments = {};
+  for (const { names, locations, field } of fields) {
+    for (const location of locations || [fallback]) {
+      if (!segments[location]) segments[location] = { type: 'object', properties: {} };
+      for (const name of names) {
+        // Only bodies nest; query and path parameters keep their name as written
+        if (location === 'body') setField(segments.body, name, field);
+        else segments[location].properties[name] = { ...(segments[location].properties[name] || {}), ...field };
+      }
+    }
+  }
+  for (const location of Object.keys(segments)) segments[location] = withRequiredLists(segments[location]);
+  return segments;
+}
+
+module.exports = { resolveExpressValidators, isExpressValidatorChain };
@@ -1,7 +1,13 @@
 const traverse = require('@babel/traverse').default;
+const path = require('path');
 const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
 const { normalizePath, toKey, HTTP_METHODS, joinPaths } = require('../utils');
 const { resolveZodSchema } = require('./zod');
+const { resolveJoiSchema, isJoiSchema } = require('./joi');
+const { resolveExpressValidators, isExpressValidatorChain } = require('./express-validator');
+
+const EXPRESS_SOURCE = 'express';
 
 function getStringLiteral(node) {
   if (!node) return '';
@@ -12,6 +18,13 @@ function getStringLiteral(node) {
   return '';
 }
 
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
 function isHttpMethod(prop) {
   return HTTP_METHODS.includes(prop);
 }
@@ -64,169 +77,671 @@ function middlewareNameFromNode(node) {
   return null;
 }
 
-function collectMiddlewareNames(args) {
+function isValidatorReference(arg, schemaDefs) {
+  // const rules = [body('title').isString()]; router.post('/x', rules, handler)
+  if (arg.type !== 'Identifier' || !schemaDefs.has(arg.name)) return false;
+  const nodes = expandValidatorNodes(arg, schemaDefs);
+  return nodes.length > 0 && nodes.every(isExpressValidatorChain);
+}
+
+function collectMiddlewareNames(args, schemaDefs = new Map()) {
   const middleware = [];
   for (const arg of args || []) {
+    if (isExpressValidatorChain(arg) || isValidatorReference(arg, schemaDefs)) continue;
     const name = middlewareNameFromNode(arg);
     if (name) middleware.push(name);
   }
   return Array.from(new Set(middleware));
 }
 
-function collectRouterBases(ast) {
-  const baseMap = new Map();
+const REQUEST_SOURCES = { body: 'body', query: 'query', params: 'path' };
+const NUMBER_CASTS = new Set(['Number', 'parseInt', 'parseFloat']);
+
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+function literalType(node) {
+  if (!node) return null;
+  if (node.type === 'NumericLiteral') return 'number';
+  if (node.type === 'StringLiteral' || node.type === 'TemplateLiteral') return 'string';
+  if (node.type === 'BooleanLiteral') return 'boolean';
+  if (node.type === 'ArrayExpression') return 'array';
+  if (node.type === 'ObjectExpression') return 'object';
+  return null;
+}
+
+function inferRequestUsage(handler) {
+  // Best-effort fields from req.body.x, req.query.page, req.params.id and const { a, b } = req.body
+  const fields = { body: new Map(), query: new Map(), path: new Map() };
+  const param = handler.params[0];
+  const aliases = new Map(); // local name -> body / query / path
 
-  function getBase(name) {
-    return baseMap.get(name) || '';
+  if (param && param.type === 'Identifier') {
+    for (const [prop, source] of Object.entries(REQUEST_SOURCES)) aliases.set(`${param.name}.${prop}`, source);
   }
+  // ({ body, query: q }, res) => ...
+  if (param && param.type === 'ObjectPattern') {
+    for (const prop of param.properties || []) {
+      if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+      const source = REQUEST_SOURCES[getPropertyName(prop.key)];
+      if (source) aliases.set(prop.value.name, source);
+    }
+  }
+  if (!aliases.size) return fields;
 
-  traverse(ast, {
-    CallExpression(path) {
-      const node = path.node;
-      if (node.callee.type !== 'MemberExpression') return;
-      const prop = node.callee.property;
-      if (!prop || prop.type !== 'Identifier' || prop.name !== 'use') return;
-      const ownerName = getMemberObjectName(node.callee);
-      if (!ownerName) return;
-      const args = node.arguments || [];
-      if (args.length < 2) return;
-      const prefix = getStringLiteral(args[0]);
-      const routerArg = args[1];
-      if (!prefix || !routerArg) return;
-      if (routerArg.type !== 'Identifier') return;
-      const routerName = routerArg.name;
-      const combined = joinPaths(getBase(ownerName), prefix);
-      baseMap.set(routerName, combined);
+  function sourceOf(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return aliases.get(node.name) || null;
+    if (node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier') {
+      return aliases.get(`${node.object.name}.${getPropertyName(node.property)}`) || null;
+    }
+    return null;
+  }
+
+  function addField(source, key, type) {
+    if (!key) return;
+    const known = fields[source].get(key);
+    // An explicit cast or default value beats the plain string guess
+    if (!known || (type && known === 'string')) fields[source].set(key, type || 'string');
+  }
+
+  function fieldOf(node) {
+    // req.body.email / req.query['page'] / body.name
+    if (!node || node.type !== 'MemberExpression') return null;
+    const source = sourceOf(node.object);
+    if (!source) return null;
+    const key = node.computed
+      ? (node.property.type === 'StringLiteral' ? node.property.value : null)
+      : getPropertyName(node.property);
+    return key ? { source, key } : null;
+  }
+
+  traverse.cheap(handler.body, (node) => {
+    if (node.type === 'VariableDeclarator' && node.init) {
+      const source = sourceOf(node.init);
+      if (!source) return;
+      // const body = req.body keeps reading fields through the alias
+      if (node.id.type === 'Identifier') aliases.set(node.id.name, source);
+      if (node.id.type !== 'ObjectPattern') return;
+      for (const prop of node.id.properties || []) {
+        if (prop.type !== 'ObjectProperty') continue;
+        const defaultType = prop.value.type === 'AssignmentPattern' ? literalType(prop.value.right) : null;
+        addField(source, getPropertyName(prop.key), defaultType);
+      }
+      return;
+    }
+
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && NUMBER_CASTS.has(node.callee.name)) {
+      const field = fieldOf(node.arguments[0]);
+      if (field) addField(field.source, field.key, 'number');
+      return;
     }
+
+    const field = fieldOf(node);
+    if (field) addField(field.source, field.key, null);
   });
 
-  return baseMap;
+  return fields;
+}
+
+function resolveHandlerNode(arg, handlerDefs) {
+  if (isFunctionNode(arg)) return arg;
+  if (arg.type === 'Identifier' && handlerDefs.has(arg.name)) return handlerDefs.get(arg.name);
+  return null;
+}
+
+function toParamList(fieldMap, required) {
+  return Array.from(fieldMap.entries()).map(([key, type]) => ({ name: key, key, required, type }));
 }
 
-async function extractExpressEndpoints(filePath) {
+// celebrate's Segments.BODY etc. are plain 'body' / 'query' / 'params' strings
+const VALIDATION_SEGMENTS = {
+  body: 'body',
+  query: 'query',
+  params: 'path',
+  BODY: 'body',
+  QUERY: 'query',
+  PARAMS: 'path'
+};
+
+function resolveValidationSchema(node, schemaDefs) {
+  const resolved = isJoiSchema(node, schemaDefs)
+    ? resolveJoiSchema(node, schemaDefs)
+    : resolveZodSchema(node, schemaDefs);
+  return resolved && resolved.type === 'object' && resolved.properties ? resolved : null;
+}
+
+function getSegmentKey(prop) {
+  // body: / 'query': / [Segments.BODY]:
+  if (prop.computed && prop.key.type === 'MemberExpression') {
+    return VALIDATION_SEGMENTS[getPropertyName(prop.key.property)] || null;
+  }
+  if (prop.computed && prop.key.type !== 'StringLiteral') return null;
+  return VALIDATION_SEGMENTS[getPropertyName(prop.key)] || null;
+}
+
+function splitSegmentObject(node, schemaDefs) {
+  // celebrate({ [Segments.BODY]: ..., [Segments.QUERY]: ... }) / validate({ body, query })
+  const props = ((node && node.properties) || []).filter((prop) => prop.type === 'ObjectProperty');
+  if (!props.length || !props.every((prop) => getSegmentKey(prop))) return null;
+  const segments = {};
+  for (const prop of props) {
+    const resolved = resolveValidationSchema(prop.value, schemaDefs);
+    if (resolved) segments[getSegmentKey(prop)] = resolved;
+  }
+  return segments;
+}
+
+function splitWrappedSchema(schema) {
+  // validate(z.object({ body: z.object(...), query: z.object(...) })) wraps one schema per segment
+  const entries = Object.entries(schema.properties);
+  if (!entries.length || !entries.every(([key, value]) => VALIDATION_SEGMENTS[key] && value.properties)) return null;
+  const segments = {};
+  for (const [key, value] of entries) segments[VALIDATION_SEGMENTS[key]] = value;
+  return segments;
+}
+
+function getSegmentHint(call) {
+  // validate(schema, 'query') / validateQuery(schema) / validateParams(schema)
+  for (const arg of call.arguments.slice(1)) {
+    if (arg.type === 'StringLiteral' && VALIDATION_SEGMENTS[arg.value]) return VALIDATION_SEGMENTS[arg.value];
+    if (arg.type === 'MemberExpression' && VALIDATION_SEGMENTS[getPropertyName(arg.property)]) {
+      return VALIDATION_SEGMENTS[getPropertyName(arg.property)];
+    }
+  }
+  const name = middlewareNameFromNode(call) || '';
+  if (/query/i.test(name)) return 'query';
+  if (/params/i.test(name)) return 'path';
+  if (/body/i.test(name)) return 'body';
+  return null;
+}
+
+function resolveValidatorSegments(call, httpMethod, schemaDefs) {
+  const first = call.arguments[0];
+  if (!first) return null;
+  if (first.type === 'ObjectExpression') {
+    const segments = splitSegmentObject(first, schemaDefs);
+    if (segments) return segments;
+  }
+  const resolved = resolveValidationSchema(first, schemaDefs);
+  if (!resolved) return null;
+  const wrapped = splitWrappedSchema(resolved);
+  if (wrapped) return wrapped;
+  // Without a segment hint, bodiless methods are most likely validating the query string
+  const segment = getSegmentHint(call) || (['GET', 'DELETE', 'HEAD'].includes(httpMethod) ? 'query' : 'body');
+  return { [segment]: resolved };
+}
+
+function expandValidatorNodes(arg, schemaDefs, seen = new Set()) {
+  // [body('email').isEmail(), ...] / createUserRules / validate([...]) -> the individual chains
+  let node = arg;
+  if (node.type === 'Identifier') {
+    if (!schemaDefs.has(node.name) || seen.has(node.name)) return [];
+    seen.add(node.name);
+    node = schemaDefs.get(node.name);
+  }
+  if (node.type === 'ArrayExpression') {
+    return node.elements.filter(Boolean).flatMap((el) => expandValidatorNodes(el, schemaDefs, seen));
+  }
+  if (node.type !== 'CallExpression') return [];
+  const inner = node.arguments[0];
+  const wrapped = node.callee.type === 'Identifier' && inner && (inner.type === 'ArrayExpression' || inner.type === 'Identifier')
+    ? expandValidatorNodes(inner, schemaDefs, seen)
+    : [];
+  return [node, ...wrapped];
+}
+
+function schemaToParams(schema, forceRequired) {
+  return Object.entries(schema.properties).map(([key, val]) => ({
+    name: key,
+    key,
+    required: forceRequired || !val.optional,
+    type: val.type || 'string',
+    example: val.example
+  }));
+}
+
+// Extract schemas from middleware args
+function extractSchemasFromArgs(args, httpMethod, schemaDefs, handlerDefs = new Map()) {
+  let body = null;
+  const query = [];
+  const pathParams = [];
+
+  // express-validator chains are spread over several arguments, so they're combined first
+  const validatorArgs = args.filter((arg) => resolveExpressValidators(expandValidatorNodes(arg, schemaDefs), httpMethod));
+  const chained = resolveExpressValidators(validatorArgs.flatMap((arg) => expandValidatorNodes(arg, schemaDefs)), httpMethod);
+  const found = chained ? [chained] : [];
+
+  for (const arg of args) {
+    // Look for middleware calls: validate(schema), celebrate({ [Segments.BODY]: schema })
+    if (arg.type !== 'CallExpression' || validatorArgs.includes(arg)) continue;
+    const segments = resolveValidatorSegments(arg, httpMethod, schemaDefs);
+    if (segments) found.push(segments);
+  }
+
+  for (const segments of found) {
+    if (segments.body) body = segments.body;
+    if (segments.query) query.push(...schemaToParams(segments.query, false));
+    if (segments.path) pathParams.push(...schemaToParams(segments.path, true));
+  }
+
+  // Unvalidated routes: fall back to what the handler reads off req
+  const inferred = { body: new Map(), query: new Map(), path: new Map() };
+  for (const arg of args) {
+    const handler = resolveHandlerNode(arg, handlerDefs);
+    if (!handler) continue;
+    const usage = inferRequestUsage(handler);
+    for (const source of Object.keys(inferred)) {
+      for (const [key, type] of usage[source].entries()) {
+        if (!inferred[source].has(key)) inferred[source].set(key, type);
+      }
+    }
+  }
+
+  if (!body && inferred.body.size) {
+    const properties = {};
+    for (const [key, type] of inferred.body.entries()) properties[key] = { type };
+    body = { type: 'object', properties };
+  }
+  const knownQuery = new Set(query.map((param) => param.key));
+  for (const param of toParamList(inferred.query, false)) {
+    if (!knownQuery.has(param.key)) query.push(param);
+  }
+
+  const knownPath = new Set(pathParams.map((param) => param.key));
+  for (const param of toParamList(inferred.path, true)) {
+    if (!knownPath.has(param.key)) pathParams.push(param);
+  }
+
+  const out = { body, query };
+  if (pathParams.length) out.path = pathParams;
+  return out;
+}
+
+function isStringNode(node) {
+  return !!node && (node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.quasis.length === 1));
+}
+
+function isRequireCall(node, source) {
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'Identifier') return false;
+  if (node.callee.name !== 'require' || node.arguments.length !== 1 || node.arguments[0].type !== 'StringLiteral') return false;
+  return source === undefined || node.arguments[0].value === source;
+}
+
+async function parseExpressFile(filePath, confirmedOnly) {
   const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const expressNames = new Set(); // express / * as express
+  const routerFactoryNames = new Set(); // { Router } from 'express'
+  const routers = new Map(); // varName -> { isApp }
   const endpoints = [];
-  const routerBases = collectRouterBases(ast);
+  const mounts = [];
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
   const schemaDefs = new Map();
+  const handlerDefs = new Map(); // function name -> node, for handlers passed by reference
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
 
-  // First pass: collect potential schemas
+  function getRouterFactory(node) {
+    // express() -> app; express.Router() / Router() / require('express').Router() -> router
+    if (!node || node.type !== 'CallExpression') return null;
+    const callee = node.callee;
+    if (callee.type === 'Identifier' && expressNames.has(callee.name)) return 'app';
+    if (isRequireCall(callee, EXPRESS_SOURCE)) return 'app';
+    if (callee.type === 'Identifier' && routerFactoryNames.has(callee.name)) return 'router';
+    if (callee.type === 'MemberExpression' && getPropertyName(callee.property) === 'Router') {
+      const owner = callee.object;
+      if ((owner.type === 'Identifier' && expressNames.has(owner.name)) || isRequireCall(owner, EXPRESS_SOURCE)) return 'router';
+    }
+    return null;
+  }
+
+  // Pass 1: express bindings, imports, exports and schema variables
   traverse(ast, {
-    VariableDeclarator(path) {
-      const node = path.node;
-      if (node.id.type === 'Identifier' && node.init) {
-        // Collect everything that looks like it could be a schema (Call/Member expression)
-        if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression') {
-          schemaDefs.set(node.id.name, node.init);
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      for (const spec of p.node.specifiers || []) {
+        if (source === EXPRESS_SOURCE) {
+          if (spec.type === 'ImportSpecifier') {
+            if (getPropertyName(spec.imported) === 'Router') routerFactoryNames.add(spec.local.name);
+          } else {
+            expressNames.add(spec.local.name);
+          }
+          continue;
+        }
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportNamespaceSpecifier') registerImport(spec.local.name, source, '*');
+        if (spec.type === 'ImportSpecifier') registerImport(spec.local.name, source, getPropertyName(spec.imported));
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          const importName = getPropertyName(prop.key);
+          if (source === EXPRESS_SOURCE) {
+            if (importName === 'Router') routerFactoryNames.add(prop.value.name);
+            continue;
+          }
+          registerImport(prop.value.name, source, importName);
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      const varName = node.id.name;
+
+      if (isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        if (source === EXPRESS_SOURCE) expressNames.add(varName);
+        else registerImport(varName, source, 'default');
+        return;
+      }
+
+      // Arrays hold express-validator chains: const createUserRules = [body('email').isEmail()]
+      if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression' || node.init.type === 'ArrayExpression') {
+        schemaDefs.set(varName, node.init);
+      }
+      if (isFunctionNode(node.init)) handlerDefs.set(varName, node.init);
+    },
+
+    FunctionDeclaration(p) {
+      if (p.node.id) handlerDefs.set(p.node.id.name, p.node);
+    },
+
+    ExportDefaultDeclaration(p) {
+      const decl = p.node.declaration;
+      if (decl && decl.type === 'Identifier') exports.default = decl.name;
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const decl of node.declaration.declarations) {
+          if (decl.id.type === 'Identifier') exports.named.set(decl.id.name, decl.id.name);
         }
       }
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local.name);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression') return;
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      if (objectName === 'module' && propName === 'exports') {
+        // module.exports = router / module.exports = { usersRouter, orders: ordersRouter }
+        if (right.type === 'Identifier') exports.default = right.name;
+        if (right.type === 'ObjectExpression') {
+          for (const prop of right.properties || []) {
+            if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+            const key = getPropertyName(prop.key);
+            if (key) exports.named.set(key, prop.value.name);
+          }
+        }
+        return;
+      }
+      if (right.type !== 'Identifier') return;
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) exports.named.set(propName, right.name);
     }
   });
 
   traverse(ast, {
-    CallExpression(path) {
-      const node = path.node;
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type !== 'Identifier') return;
+      const factory = getRouterFactory(node.init);
+      if (factory) routers.set(node.id.name, { isApp: factory === 'app' });
+    }
+  });
+
+  function acceptRouter(name) {
+    if (!name) return false;
+    if (routers.has(name)) return true;
+    // An explicit framework: 'express' keeps the old behaviour of trusting any app.get('/path') owner
+    if (confirmedOnly) return false;
+    routers.set(name, { isApp: false });
+    return true;
+  }
+
+  function resolveMountRef(node) {
+    // usersRouter / require('./users') / routes.users / require('./routes').users
+    if (!node) return null;
+    if (node.type === 'Identifier') return { ident: node.name };
+    if (isRequireCall(node)) {
+      const resolved = resolveImportFile(baseDir, node.arguments[0].value);
+      return resolved ? { sourceFile: resolved, importName: 'default' } : null;
+    }
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const prop = getPropertyName(node.property);
+      if (isRequireCall(node.object)) {
+        const resolved = resolveImportFile(baseDir, node.object.arguments[0].value);
+        return resolved && prop ? { sourceFile: resolved, importName: prop } : null;
+      }
+      if (node.object.type === 'Identifier' && imports.has(node.object.name) && prop) {
+        return { sourceFile: imports.get(node.object.name).sourceFile, importName: prop };
+      }
+    }
+    return null;
+  }
+
+  function pushEndpoint(routerVar, method, routePath, handlerArgs, position) {
+    endpoints.push({
+      routerVar,
+      method,
+      path: routePath,
+      middleware: collectMiddlewareNames(handlerArgs, schemaDefs),
+      parameters: extractSchemasFromArgs(handlerArgs, method, schemaDefs, handlerDefs),
+      position
+    });
+  }
+
+  // Pass 2: routes and use() calls
+  traverse(ast, {
+    CallExpression(p) {
+      const node = p.node;
       if (node.callee.type !== 'MemberExpression') return;
       const property = node.callee.property;
       if (!property || property.type !== 'Identifier') return;
       const methodName = property.name;
+      const args = node.arguments || [];
 
-      // Extract schemas from middleware args
-      function extractSchemasFromArgs(args, httpMethod) {
-        let body = null;
-        const query = [];
-
-        for (const arg of args) {
-          // Look for middleware calls: validate(schema)
-          if (arg.type === 'CallExpression') {
-            const middlewareArgs = arg.arguments || [];
-            if (middlewareArgs.length > 0) {
-              // Heuristic: check if the first arg resolves to a Zod schema
-              const possibleSchema = middlewareArgs[0];
-              const resolved = resolveZodSchema(possibleSchema, schemaDefs);
-
-              // If it resolves to something meaningful (not just string fallback)
-              // For now, resolveZodSchema defaults to {type:'string'} if parsing fails, 
-              // but if it's an object with properties, it's likely a schema.
-              if (resolved && resolved.type === 'object' && resolved.properties) {
-                if (['GET', 'DELETE', 'HEAD'].includes(httpMethod)) {
-                  // Likely query params
-                  for (const [key, val] of Object.entries(resolved.properties)) {
-                    query.push({
-                      name: key,
-                      key,
-                      required: !val.optional,
-                      type: val.type || 'string',
-                      example: val.example
-                    });
-                  }
-                } else {
-                  // Likely body
-                  body = resolved;
-                }
-              }
-            }
-          }
+      if (node.callee.object.type === 'Identifier') {
+        const ownerName = node.callee.object.name;
+
+        if (methodName === 'use') {
+          if (!acceptRouter(ownerName)) return;
+          // app.use('/api/users', authenticate, usersRouter): which arguments are routers is settled across files
+          const prefix = isStringNode(args[0]) ? getStringLiteral(args[0]) : '';
+          const rest = isStringNode(args[0]) ? args.slice(1) : args;
+          mounts.push({
+            parentVar: ownerName,
+            prefix,
+            args: rest.map((arg) => ({ ref: resolveMountRef(arg), name: collectMiddlewareNames([arg], schemaDefs)[0] })),
+            position: node.start
+          });
+          return;
         }
-        return { body, query };
-      }
 
-      if (isHttpMethod(methodName) && node.callee.object.type === 'Identifier') {
         // Handle router.get('/path', ...)
-        const args = node.arguments || [];
-        if (!args.length) return;
-        const routePath = getStringLiteral(args[0]);
-        if (!routePath) return;
-
-        let base = '';
-        const ownerName = getMemberObjectName(node.callee);
-        if (ownerName && routerBases.has(ownerName)) {
-          base = routerBases.get(ownerName);
+        if (isHttpMethod(methodName)) {
+          const routePath = getStringLiteral(args[0]);
+          if (!routePath || !acceptRouter(ownerName)) return;
+          pushEndpoint(ownerName, methodName.toUpperCase(), routePath, args.slice(1), node.start);
         }
+        return;
+      }
 
-        const method = methodName.toUpperCase();
-        const fullPath = normalizePath(joinPaths(base, routePath));
-        const middleware = collectMiddlewareNames(args.slice(1));
+      // Handle router.route('/path').get(...)
+      if (isHttpMethod(methodName) && node.callee.object.type === 'CallExpression') {
+        const routeInfo = getRouteCallInfoFromChain(node.callee.object);
+        if (!routeInfo || !acceptRouter(routeInfo.routerName)) return;
+        pushEndpoint(routeInfo.routerName, methodName.toUpperCase(), routeInfo.routePath, args, property.start);
+      }
+    }
+  });
 
-        const { body, query } = extractSchemasFromArgs(args.slice(1), method);
+  // Chained .get().delete() calls are visited outermost first; keep routes in source order
+  endpoints.sort((a, b) => a.position - b.position);
 
-        endpoints.push({
-          method,
-          path: fullPath,
-          description: `${method} ${fullPath}`,
-          middleware,
-          parameters: { body, query },
-          filePath,
-          key: toKey(method, fullPath)
-        });
-        return;
+  return { filePath, routers, endpoints, mounts, exports, imports };
+}
+
+function withRoutePathParams(parameters, fullPath) {
+  // req.params.x only becomes a path variable once the mounted path actually declares :x
+  if (!parameters.path) return parameters;
+  const declared = new Set((fullPath.match(/:[A-Za-z0-9_]+/g) || []).map((name) => name.slice(1)));
+  const pathParams = parameters.path.filter((param) => declared.has(param.key));
+  const out = { ...parameters };
+  if (pathParams.length) out.path = pathParams;
+  else delete out.path;
+  return out;
+}
+
+function routerId(filePath, varName) {
+  return `${filePath}::${varName}`;
+}
+
+function resolveExportedRouter(target, importName) {
+  if (!target) return null;
+  const localName = importName === 'default' ? target.exports.default : target.exports.named.get(importName);
+  if (!localName || !target.routers.has(localName)) return null;
+  return routerId(target.filePath, localName);
+}
+
+function resolveMountTarget(ref, data, fileDataMap) {
+  if (ref.sourceFile) return resolveExportedRouter(fileDataMap.get(ref.sourceFile), ref.importName);
+  if (data.routers.has(ref.ident)) return routerId(data.filePath, ref.ident);
+  if (data.imports.has(ref.ident)) {
+    const imp = data.imports.get(ref.ident);
+    return resolveExportedRouter(fileDataMap.get(imp.sourceFile), imp.importName);
+  }
+  return null;
+}
+
+async function extractExpressEndpoints(files, options = {}) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseExpressFile(file, options.confirmedOnly);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  const routers = new Map();
+  for (const data of fileDataMap.values()) {
+    for (const [varName, router] of data.routers.entries()) {
+      routers.set(routerId(data.filePath, varName), router);
+    }
+  }
+
+  // Split every use() call into mounted routers and the middleware in front of them
+  const routerUses = new Map(); // router id -> [{ position, middleware }]
+  const mountsByRouter = new Map(); // router id -> [{ childId, prefix, middleware, position }]
+  const childHasParent = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const mount of data.mounts) {
+      const parentId = routerId(data.filePath, mount.parentVar);
+      const preceding = [];
+      let mountedRouter = false;
+      for (const arg of mount.args) {
+        const childId = arg.ref ? resolveMountTarget(arg.ref, data, fileDataMap) : null;
+        if (childId && routers.has(childId) && childId !== parentId) {
+          if (!mountsByRouter.has(parentId)) mountsByRouter.set(parentId, []);
+          mountsByRouter.get(parentId).push({ childId, prefix: mount.prefix, middleware: [...preceding], position: mount.position });
+          childHasParent.add(childId);
+          mountedRouter = true;
+        } else if (arg.name) {
+          preceding.push(arg.name);
+        }
       }
+      // app.use(authenticate) / router.use(requireAuth) guard the routes and mounts declared after them
+      if (!mountedRouter && !mount.prefix && preceding.length && routers.has(parentId)) {
+        if (!routerUses.has(parentId)) routerUses.set(parentId, []);
+        routerUses.get(parentId).push({ position: mount.position, middleware: preceding });
+      }
+    }
+  }
 
-      // Handle router.route('/path').get(...)
-      if (property.name && isHttpMethod(property.name) && node.callee.object.type === 'CallExpression') {
-        const owner = node.callee.object;
-        const routeInfo = getRouteCallInfoFromChain(owner);
-        if (!routeInfo) return;
-        const method = property.name.toUpperCase();
-        const base = routerBases.get(routeInfo.routerName) || '';
-        const fullPath = normalizePath(joinPaths(base, routeInfo.routePath));
-        const middleware = collectMiddlewareNames(node.arguments);
-
-        const { body, query } = extractSchemasFromArgs(node.arguments, method);
-
-        endpoints.push({
-          method,
+  function usesBefore(id, position) {
+    return (routerUses.get(id) || [])
+      .filter((use) => use.position < position)
+      .flatMap((use) => use.middleware);
+  }
+
+  const contexts = new Map(); // router id -> Map(prefix -> middleware[])
+  const queue = [];
+  function visit(id, prefix, middleware, trail) {
+    const seen = contexts.get(id) || new Map();
+    if (seen.has(prefix)) return;
+    seen.set(prefix, Array.from(new Set(middleware)));
+    contexts.set(id, seen);
+    queue.push({ id, prefix, middleware, trail: new Set([...trail, id]) });
+  }
+
+  for (const id of routers.keys()) {
+    if (!childHasParent.has(id)) visit(id, '', [], []);
+  }
+
+  while (queue.length) {
+    const { id, prefix, middleware, trail } = queue.shift();
+    for (const mount of mountsByRouter.get(id) || []) {
+      // Routers mounted into each other would otherwise grow their prefix forever
+      if (trail.has(mount.childId)) continue;
+      const inherited = [...middleware, ...usesBefore(id, mount.position), ...mount.middleware];
+      visit(mount.childId, joinPaths(prefix, mount.prefix), inherited, trail);
+    }
+  }
+
+  const results = [];
+  for (const data of fileDataMap.values()) {
+    for (const endpoint of data.endpoints) {
+      const id = routerId(data.filePath, endpoint.routerVar);
+      const routerContexts = contexts.get(id) || new Map([['', []]]);
+      const routerMiddleware = usesBefore(id, endpoint.position);
+      for (const [prefix, inherited] of routerContexts.entries()) {
+        const fullPath = normalizePath(joinPaths(prefix, endpoint.path));
+        results.push({
+          method: endpoint.method,
           path: fullPath,
-          description: `${method} ${fullPath}`,
-          middleware,
-          parameters: { body, query },
-          filePath,
-          key: toKey(method, fullPath)
+          description: `${endpoint.method} ${fullPath}`,
+          middleware: Array.from(new Set([...inherited, ...routerMiddleware, ...endpoint.middleware])),
+          parameters: withRoutePathParams(endpoint.parameters, fullPath),
+          filePath: data.filePath,
+          key: toKey(endpoint.method, fullPath)
         });
       }
     }
-  });
+  }
 
-  return endpoints;
+  return results;
 }
 
-module.exports = { extractExpressEndpoints };
+module.exports = {
+  extractExpressEndpoints,
+  middlewareNameFromNode,
+  collectMiddlewareNames,
+  extractSchemasFromArgs
+};
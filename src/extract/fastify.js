@@ -0,0 +1,597 @@
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
+const { normalizePath, joinPaths, toKey, HTTP_METHODS } = require('../utils');
+const { resolveZodSchema } = require('./zod');
+
+const FASTIFY_METHODS = new Set([...HTTP_METHODS, 'all']);
+const FASTIFY_FACTORIES = new Set(['fastify', 'Fastify', 'createServer', 'buildServer']);
+const PLUGIN_WRAPPERS = new Set(['fp', 'fastifyPlugin']);
+const HOOK_KEYS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+
+function getStringLiteral(node) {
+  if (!node) return '';
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.quasis.length === 1) {
+    return node.quasis[0].value.cooked || '';
+  }
+  return '';
+}
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function getObjectProperty(node, keyName) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  for (const prop of node.properties || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    if (getPropertyName(prop.key) === keyName) return prop.value;
+  }
+  return null;
+}
+
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+function unwrapPlugin(node) {
+  // fp(async (fastify) => {...}) and fastifyPlugin(...) are transparent for route discovery
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'Identifier' &&
+    PLUGIN_WRAPPERS.has(current.callee.name)) {
+    current = current.arguments && current.arguments[0];
+  }
+  if (current && (current.type === 'TSAsExpression' || current.type === 'TSSatisfiesExpression')) {
+    return unwrapPlugin(current.expression);
+  }
+  return current;
+}
+
+function isRequireCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function isFastifyFactoryCall(node) {
+  if (!node || node.type !== 'CallExpression') return false;
+  if (node.callee.type === 'Identifier') return FASTIFY_FACTORIES.has(node.callee.name);
+  // require('fastify')({ logger: true })
+  if (isRequireCall(node.callee)) return node.callee.arguments[0].value === 'fastify';
+  return false;
+}
+
+function isFastifySource(source) {
+  return source === 'fastify' || source === 'fastify-plugin' || String(source || '').startsWith('@fastify/');
+}
+
+function hasFastifyTypeAnnotation(param) {
+  const annotation = param && param.typeAnnotation && param.typeAnnotation.typeAnnotation;
+  if (!annotation || annotation.type !== 'TSTypeReference') return false;
+  return annotation.typeName.type === 'Identifier' && /^Fastify/.test(annotation.typeName.name);
+}
+
+function middlewareNameFromNode(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'CallExpression') {
+    if (node.callee.type === 'Identifier') return node.callee.name;
+    if (node.callee.type === 'MemberExpression' && node.callee.property.type === 'Identifier') {
+      return node.callee.property.name;
+    }
+  }
+  if (node.type === 'MemberExpression' && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return null;
+}
+
+function collectHookNames(optionsNode) {
+  const names = [];
+  for (const key of HOOK_KEYS) {
+    const value = getObjectProperty(optionsNode, key);
+    if (!value) continue;
+    const list = value.type === 'ArrayExpression' ? value.elements : [value];
+    for (const el of list || []) {
+      const name = middlewareNameFromNode(el);
+      if (name) names.push(name);
+    }
+  }
+  return Array.from(new Set(names));
+}
+
+function literalFromNode(node, valueDefs, depth = 0) {
+  if (!node || depth > 12) return undefined;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    return node.value;
+  }
+  if (node.type === 'NullLiteral') return null;
+  if (node.type === 'TemplateLiteral' && node.quasis.length === 1) return node.quasis[0].value.cooked || '';
+  if (node.type === 'Identifier' && valueDefs.has(node.name)) {
+    return literalFromNode(valueDefs.get(node.name), valueDefs, depth + 1);
+  }
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+    return literalFromNode(node.expression, valueDefs, depth + 1);
+  }
+  if (node.type === 'ArrayExpression') {
+    return (node.elements || []).map((el) => literalFromNode(el, valueDefs, depth + 1)).filter((v) => v !== undefined);
+  }
+  if (node.type === 'ObjectExpression') {
+    const out = {};
+    for (const prop of node.properties || []) {
+      if (prop.type === 'SpreadElement') {
+        const spread = literalFromNode(prop.argument, valueDefs, depth + 1);
+        if (spread && typeof spread === 'object') Object.assign(out, spread);
+        continue;
+      }
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (!key) continue;
+      const value = literalFromNode(prop.value, valueDefs, depth + 1);
+      if (value !== undefined) out[key] = value;
+    }
+    return out;
+  }
+  return undefined;
+}
+
+function normalizeJsonSchema(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || depth > 8) return null;
+  const out = { ...schema };
+
+  if (Array.isArray(out.type)) {
+    const types = out.type.filter((t) => t !== 'null');
+    if (types.length !== out.type.length) out.nullable = true;
+    out.type = types[0] || 'string';
+  }
+  if (out.example === undefined && Array.isArray(out.examples) && out.examples.length) {
+    out.example = out.examples[0];
+  }
+  if (out.example === undefined && out.default !== undefined) out.example = out.default;
+  if (!out.type && out.properties) out.type = 'object';
+  if (!out.type && out.items) out.type = 'array';
+
+  if (out.properties && typeof out.properties === 'object') {
+    const properties = {};
+    for (const [key, value] of Object.entries(out.properties)) {
+      properties[key] = normalizeJsonSchema(value, depth + 1) || { type: 'string' };
+    }
+    out.properties = properties;
+  }
+  if (out.items) out.items = normalizeJsonSchema(out.items, depth + 1) || { type: 'string' };
+
+  return out;
+}
+
+function resolveSchemaNode(node, valueDefs) {
+  if (!node) return null;
+  let current = node;
+  while (current && current.type === 'Identifier' && valueDefs.has(current.name)) {
+    current = valueDefs.get(current.name);
+  }
+  if (!current) return null;
+
+  // Zod schemas via fastify-type-provider-zod
+  if (current.type === 'CallExpression' || current.type === 'MemberExpression') {
+    const resolved = resolveZodSchema(current, valueDefs);
+    return resolved && resolved.type === 'object' && resolved.properties ? resolved : null;
+  }
+
+  return normalizeJsonSchema(literalFromNode(current, valueDefs));
+}
+
+function schemaToParamList(schema, { forcePathRequired = false } = {}) {
+  if (!schema || !schema.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([key, val]) => ({
+    name: key,
+    key,
+    required: forcePathRequired ? true : required.has(key) || val.optional === false,
+    type: (val && val.type) || 'string',
+    example: val ? val.example : undefined
+  }));
+}
+
+function parseRouteOptions(optionsNode, valueDefs) {
+  const out = { parameters: {}, middleware: [], tags: [], summary: undefined, description: undefined };
+  if (!optionsNode || optionsNode.type !== 'ObjectExpression') return out;
+
+  out.middleware = collectHookNames(optionsNode);
+
+  let schemaNode = getObjectProperty(optionsNode, 'schema');
+  while (schemaNode && schemaNode.type === 'Identifier' && valueDefs.has(schemaNode.name)) {
+    schemaNode = valueDefs.get(schemaNode.name);
+  }
+  if (!schemaNode || schemaNode.type !== 'ObjectExpression') return out;
+
+  const body = resolveSchemaNode(getObjectProperty(schemaNode, 'body'), valueDefs);
+  if (body) out.parameters.body = body;
+
+  const querySchema = resolveSchemaNode(
+    getObjectProperty(schemaNode, 'querystring') || getObjectProperty(schemaNode, 'query'),
+    valueDefs
+  );
+  const query = schemaToParamList(querySchema);
+  if (query.length) out.parameters.query = query;
+
+  const params = schemaToParamList(resolveSchemaNode(getObjectProperty(schemaNode, 'params'), valueDefs), {
+    forcePathRequired: true
+  });
+  if (params.length) out.parameters.path = params;
+
+  const summary = getStringLiteral(getObjectProperty(schemaNode, 'summary'));
+  if (summary) out.summary = summary;
+  const description = getStringLiteral(getObjectProperty(schemaNode, 'description'));
+  if (description) out.description = description;
+  const tags = literalFromNode(getObjectProperty(schemaNode, 'tags'), valueDefs);
+  if (Array.isArray(tags)) out.tags = tags.filter((t) => typeof t === 'string');
+
+  const security = getObjectProperty(schemaNode, 'security');
+  if (security && security.type === 'ArrayExpression' && security.elements.length) out.auth = true;
+
+  return out;
+}
+
+function parseMethodList(node) {
+  const values = [];
+  if (!node) return values;
+  const list = node.type === 'ArrayExpression' ? node.elements : [node];
+  for (const el of list || []) {
+    const value = getStringLiteral(el).toUpperCase();
+    if (value && (HTTP_METHODS.includes(value.toLowerCase()) || value === 'ALL')) values.push(value);
+  }
+  return values;
+}
+
+async function parseFastifyFile(filePath) {
+  const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const scopes = new Map(); // scope id -> { filePath, name, confirmed }
+  const endpoints = [];
+  const mounts = [];
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
+  const valueDefs = new Map();
+  const functionScopeIds = new Map();
+  let inlineCounter = 0;
+  let fileConfirmed = false;
+
+  function scopeIdForFunction(fnNode, fallbackName) {
+    if (functionScopeIds.has(fnNode)) return functionScopeIds.get(fnNode);
+    inlineCounter += 1;
+    const name = fallbackName || `<inline#${inlineCounter}>`;
+    functionScopeIds.set(fnNode, name);
+    const param = fnNode.params && fnNode.params[0];
+    scopes.set(name, {
+      name,
+      confirmed: !!param && (hasFastifyTypeAnnotation(param) || (param.type === 'Identifier' && param.name === 'fastify'))
+    });
+    return name;
+  }
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
+
+  // Pass 1: names of plugin functions, instances, imports and exports
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      if (isFastifySource(source)) fileConfirmed = true;
+      for (const spec of p.node.specifiers || []) {
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportSpecifier') {
+          registerImport(spec.local.name, source, getPropertyName(spec.imported));
+        }
+      }
+    },
+
+    FunctionDeclaration(p) {
+      if (p.node.id && p.parentPath.isProgram()) scopeIdForFunction(p.node, p.node.id.name);
+      if (p.node.id && p.parentPath.isExportNamedDeclaration()) {
+        scopeIdForFunction(p.node, p.node.id.name);
+        exports.named.set(p.node.id.name, p.node.id.name);
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          registerImport(prop.value.name, node.init.arguments[0].value, getPropertyName(prop.key));
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      const varName = node.id.name;
+
+      if (isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        if (isFastifySource(source)) fileConfirmed = true;
+        registerImport(varName, source, 'default');
+        return;
+      }
+
+      if (isFastifyFactoryCall(node.init) || (node.init.type === 'AwaitExpression' && isFastifyFactoryCall(node.init.argument))) {
+        scopes.set(varName, { name: varName, confirmed: true, instance: true });
+        return;
+      }
+
+      const fn = unwrapPlugin(node.init);
+      if (isFunctionNode(fn) && fn.params && fn.params.length) {
+        scopeIdForFunction(fn, varName);
+        return;
+      }
+
+      valueDefs.set(varName, node.init);
+    },
+
+    ExportDefaultDeclaration(p) {
+      const decl = unwrapPlugin(p.node.declaration);
+      if (!decl) return;
+      if (decl.type === 'Identifier') {
+        exports.default = decl.name;
+      } else if (isFunctionNode(decl)) {
+        exports.default = scopeIdForFunction(decl, decl.id ? decl.id.name : 'default');
+      }
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const decl of node.declaration.declarations) {
+          if (decl.id.type === 'Identifier') exports.named.set(decl.id.name, decl.id.name);
+        }
+      }
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local.name);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression') return;
+      const target = unwrapPlugin(right);
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      // module.exports = plugin / module.exports = async function (fastify) {}
+      if (objectName === 'module' && propName === 'exports') {
+        if (target && target.type === 'Identifier') exports.default = target.name;
+        if (isFunctionNode(target)) exports.default = scopeIdForFunction(target, 'default');
+        return;
+      }
+
+      // exports.usersRoutes = plugin / module.exports.usersRoutes = ...
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) {
+        if (target && target.type === 'Identifier') exports.named.set(propName, target.name);
+        if (isFunctionNode(target)) exports.named.set(propName, scopeIdForFunction(target, propName));
+      }
+    }
+  });
+
+  function resolveInstanceScope(p, instanceName) {
+    const binding = p.scope.getBinding(instanceName);
+    if (!binding) return null;
+    if (binding.kind === 'param') {
+      const fnPath = binding.path.parentPath;
+      if (!fnPath || !isFunctionNode(fnPath.node)) return null;
+      if (fnPath.node.params[0] !== binding.path.node) return null;
+      return scopeIdForFunction(fnPath.node);
+    }
+    if (scopes.has(instanceName) && scopes.get(instanceName).instance) return instanceName;
+    return null;
+  }
+
+  function resolvePluginRef(node) {
+    const target = unwrapPlugin(node);
+    if (!target) return null;
+    if (isFunctionNode(target)) return { local: scopeIdForFunction(target) };
+    if (target.type === 'Identifier') return { ident: target.name };
+    if (isRequireCall(target)) {
+      const resolved = resolveImportFile(baseDir, target.arguments[0].value);
+      return resolved ? { sourceFile: resolved, importName: 'default' } : null;
+    }
+    // register(require('./routes').usersRoutes)
+    if (target.type === 'MemberExpression' && isRequireCall(target.object)) {
+      const resolved = resolveImportFile(baseDir, target.object.arguments[0].value);
+      const importName = getPropertyName(target.property);
+      return resolved && importName ? { sourceFile: resolved, importName } : null;
+    }
+    return null;
+  }
+
+  // Pass 2: routes and register() mounts
+  traverse(ast, {
+    CallExpression(p) {
+      const node = p.node;
+      if (node.callee.type !== 'MemberExpression') return;
+      if (node.callee.object.type !== 'Identifier') return;
+      const methodName = getPropertyName(node.callee.property);
+      if (!methodName) return;
+
+      const instanceName = node.callee.object.name;
+      const args = node.arguments || [];
+
+      if (methodName === 'register') {
+        const scopeId = resolveInstanceScope(p, instanceName);
+        if (!scopeId) return;
+        const ref = resolvePluginRef(args[0]);
+        if (!ref) return;
+        const opts = args[1];
+        const prefix = opts && opts.type === 'ObjectExpression' ? getStringLiteral(getObjectProperty(opts, 'prefix')) : '';
+        mounts.push({ parentScope: scopeId, ref, prefix });
+        return;
+      }
+
+      if (methodName === 'route') {
+        const optionsNode = args[0];
+        if (!optionsNode || optionsNode.type !== 'ObjectExpression') return;
+        const scopeId = resolveInstanceScope(p, instanceName);
+        if (!scopeId) return;
+        const url = getStringLiteral(getObjectProperty(optionsNode, 'url') || getObjectProperty(optionsNode, 'path'));
+        const methods = parseMethodList(getObjectProperty(optionsNode, 'method'));
+        const parsed = parseRouteOptions(optionsNode, valueDefs);
+        for (const method of methods) {
+          endpoints.push({ scopeId, method, path: url || '/', ...parsed });
+        }
+        return;
+      }
+
+      if (FASTIFY_METHODS.has(methodName)) {
+        const routePath = getStringLiteral(args[0]);
+        if (!routePath && !(args[0] && args[0].type === 'StringLiteral')) return;
+        const scopeId = resolveInstanceScope(p, instanceName);
+        if (!scopeId) return;
+        const method = methodName === 'all' ? 'ALL' : methodName.toUpperCase();
+        // fastify.get('/x', { schema }, handler) and fastify.get('/x', { schema, handler }) both carry options
+        let optionsNode = args[1];
+        if (optionsNode && optionsNode.type === 'Identifier' && valueDefs.has(optionsNode.name)) {
+          optionsNode = valueDefs.get(optionsNode.name);
+        }
+        const parsed = parseRouteOptions(optionsNode, valueDefs);
+        endpoints.push({ scopeId, method, path: routePath || '/', ...parsed });
+      }
+    }
+  });
+
+  if (fileConfirmed) {
+    for (const scope of scopes.values()) scope.confirmed = true;
+  }
+
+  return { filePath, scopes, endpoints, mounts, exports, imports };
+}
+
+function scopeKey(filePath, scopeId) {
+  return `${filePath}::${scopeId}`;
+}
+
+function resolveExportedScope(target, importName) {
+  if (!target) return null;
+  if (importName === 'default') {
+    return target.exports.default ? scopeKey(target.filePath, target.exports.default) : null;
+  }
+  const mapped = target.exports.named.get(importName);
+  return mapped ? scopeKey(target.filePath, mapped) : null;
+}
+
+function resolveMountTarget(ref, data, fileDataMap) {
+  if (ref.local) return scopeKey(data.filePath, ref.local);
+  if (ref.sourceFile) return resolveExportedScope(fileDataMap.get(ref.sourceFile), ref.importName);
+  if (ref.ident) {
+    if (data.scopes.has(ref.ident)) return scopeKey(data.filePath, ref.ident);
+    if (data.imports.has(ref.ident)) {
+      const imp = data.imports.get(ref.ident);
+      return resolveExportedScope(fileDataMap.get(imp.sourceFile), imp.importName);
+    }
+  }
+  return null;
+}
+
+function addPrefix(prefixesByScope, scopeIdValue, prefix) {
+  const set = prefixesByScope.get(scopeIdValue) || new Set();
+  if (set.has(prefix)) return false;
+  set.add(prefix);
+  prefixesByScope.set(scopeIdValue, set);
+  return true;
+}
+
+async function extractFastifyEndpoints(files) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseFastifyFile(file);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  const confirmed = new Set();
+  const allScopes = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const [id, scope] of data.scopes.entries()) {
+      allScopes.add(scopeKey(data.filePath, id));
+      if (scope.confirmed) confirmed.add(scopeKey(data.filePath, id));
+    }
+  }
+
+  const edges = new Map();
+  const childHasParent = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const mount of data.mounts) {
+      const parentId = scopeKey(data.filePath, mount.parentScope);
+      const childId = resolveMountTarget(mount.ref, data, fileDataMap);
+      if (!childId || !allScopes.has(childId)) continue;
+      if (!edges.has(parentId)) edges.set(parentId, []);
+      edges.get(parentId).push({ childId, prefix: mount.prefix });
+      childHasParent.add(childId);
+      // Anything registered as a plugin is a Fastify scope, as is whatever registers it
+      confirmed.add(childId);
+      confirmed.add(parentId);
+    }
+  }
+
+  const prefixesByScope = new Map();
+  const queue = [];
+  for (const id of allScopes) {
+    if (childHasParent.has(id)) continue;
+    if (addPrefix(prefixesByScope, id, '')) queue.push({ id, prefix: '', trail: new Set([id]) });
+  }
+
+  while (queue.length) {
+    const { id, prefix, trail } = queue.shift();
+    for (const edge of edges.get(id) || []) {
+      // Plugins registering each other would otherwise grow their prefix forever
+      if (trail.has(edge.childId)) continue;
+      const childPrefix = joinPaths(prefix, edge.prefix);
+      if (addPrefix(prefixesByScope, edge.childId, childPrefix)) {
+        queue.push({ id: edge.childId, prefix: childPrefix, trail: new Set([...trail, edge.childId]) });
+      }
+    }
+  }
+
+  const results = [];
+  for (const data of fileDataMap.values()) {
+    for (const endpoint of data.endpoints) {
+      const id = scopeKey(data.filePath, endpoint.scopeId);
+      if (!confirmed.has(id)) continue;
+      const prefixes = prefixesByScope.get(id) || new Set(['']);
+      for (const prefix of prefixes) {
+        const fullPath = normalizePath(joinPaths(prefix, endpoint.path));
+        results.push({
+          method: endpoint.method,
+          path: fullPath,
+          summary: endpoint.summary,
+          description: endpoint.description || `${endpoint.method} ${fullPath}`,
+          tags: endpoint.tags || [],
+          middleware: endpoint.middleware || [],
+          auth: endpoint.auth || undefined,
+          parameters: endpoint.parameters || {},
+          filePath: data.filePath,
+          key: toKey(endpoint.method, fullPath)
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { extractFastifyEndpoints };
@@ -0,0 +1,212 @@
+const traverse = require('@babel/traverse').default;
+const { parseFile } = require('./ast');
+const { normalizePath } = require('../utils');
+const { resolveZodSchema } = require('./zod');
+const { middlewareNameFromNode } = require('./express');
+
+// Shared by the file-system routers (Next.js, Nitro, SvelteKit, Remix)
+const PARSE_METHODS = new Set(['parse', 'safeParse', 'parseAsync', 'safeParseAsync']);
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+function toRouteSegment(segment) {
+  // [id], [...slug], [[...slug]], [[lang]] and [id=integer] -> :id, :slug, :lang; the anonymous [...] -> :path
+  return segment.replace(/\[{1,2}(?:\.\.\.)?([^\]=]*)(?:=[^\]]*)?\]{1,2}/g, (match, name) => {
+    return `:${(name || 'path').replace(/[^A-Za-z0-9_]/g, '_')}`;
+  });
+}
+
+function isGroupSegment(segment) {
+  // (group) folders organise files without adding a URL segment
+  return /^\(.*\)$/.test(segment);
+}
+
+function splitFilePath(filePath) {
+  return filePath.replace(/\\/g, '/').split('/');
+}
+
+function findRouteRoot(parts, parentName, rootName) {
+  // Last <parentName>/<rootName> pair, so nested apps in a monorepo resolve to their own root
+  for (let i = parts.length - 2; i > 0; i--) {
+    if (parts[i] === rootName && parts[i - 1] === parentName) return i;
+  }
+  return -1;
+}
+
+function toRoutePath(segments) {
+  return normalizePath(segments.filter(Boolean).join('/'));
+}
+
+function unwrapAwait(node) {
+  return node && node.type === 'AwaitExpression' ? node.argument : node;
+}
+
+function isJsonBodyCall(node) {
+  // await request.json()
+  const call = unwrapAwait(node);
+  return !!call && call.type === 'CallExpression' && call.callee.type === 'MemberExpression' &&
+    getPropertyName(call.callee.property) === 'json';
+}
+
+function isSearchParamsObject(node) {
+  if (!node) return false;
+  if (node.type === 'Identifier') return node.name === 'searchParams';
+  return node.type === 'MemberExpression' && getPropertyName(node.property) === 'searchParams';
+}
+
+function collectHandlerParameters(handlerPath, schemaDefs, include = () => true) {
+  // include(path) limits which reads count, e.g. to one request.method branch
+  const parameters = {};
+  const bodyVars = new Set();
+  const query = new Map();
+
+  handlerPath.traverse({
+    VariableDeclarator(p) {
+      if (p.node.id.type === 'Identifier' && isJsonBodyCall(p.node.init)) bodyVars.add(p.node.id.name);
+    },
+
+    CallExpression(p) {
+      const node = p.node;
+      if (node.callee.type !== 'MemberExpression') return;
+      const methodName = getPropertyName(node.callee.property);
+
+      if (!include(p)) return;
+
+      // searchParams.get('page') / request.nextUrl.searchParams.get('page') / url.searchParams.get('page')
+      if ((methodName === 'get' || methodName === 'getAll') && isSearchParamsObject(node.callee.object)) {
+        const arg = node.arguments[0];
+        if (arg && arg.type === 'StringLiteral' && !query.has(arg.value)) {
+          query.set(arg.value, {
+            name: arg.value,
+            key: arg.value,
+            required: false,
+            type: methodName === 'getAll' ? 'array' : 'string'
+          });
+        }
+        return;
+      }
+
+      // Schema.parse(await request.json()) / Schema.safeParse(body)
+      if (!PARSE_METHODS.has(methodName)) return;
+      const input = node.arguments[0];
+      const readsBody = isJsonBodyCall(input) || (input && input.type === 'Identifier' && bodyVars.has(input.name));
+      if (!readsBody) return;
+      const resolved = resolveZodSchema(node.callee.object, schemaDefs);
+      if (resolved && resolved.type === 'object' && resolved.properties) parameters.body = resolved;
+    }
+  });
+
+  if (query.size) parameters.query = Array.from(query.values());
+  return parameters;
+}
+
+function resolveHandler(valuePath, localFunctions) {
+  // Unwrap withAuth(async (req) => {...}) style wrappers, keeping their names as middleware
+  const middleware = [];
+  const seen = new Set();
+  let current = valuePath;
+  while (current && current.node) {
+    const node = current.node;
+    if (node.type === 'Identifier' && localFunctions.has(node.name) && !seen.has(node.name)) {
+      seen.add(node.name);
+      current = localFunctions.get(node.name);
+      continue;
+    }
+    if (node.type !== 'CallExpression') break;
+    const inner = current.get('arguments').find((arg) => isFunctionNode(arg.node) || arg.node.type === 'CallExpression' ||
+      (arg.node.type === 'Identifier' && localFunctions.has(arg.node.name))) || null;
+    // Only calls that wrap a handler count as middleware; NextAuth(options) is the handler itself
+    const name = inner ? middlewareNameFromNode(node) : null;
+    if (name) middleware.push(name);
+    current = inner;
+  }
+  return { handlerPath: current && isFunctionNode(current.node) ? current : null, middleware };
+}
+
+async function parseRouteModule(filePath, exportNames) {
+  // Finds the exported handlers named in exportNames (GET/POST, loader/action, ...)
+  const ast = await parseFile(filePath);
+  const schemaDefs = new Map();
+  const localFunctions = new Map(); // name -> path of the function or wrapper call
+  const exported = new Map(); // export name -> path of the exported value
+  let hasDefaultExport = false;
+
+  traverse(ast, {
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression') {
+        schemaDefs.set(node.id.name, node.init);
+      }
+      if (isFunctionNode(node.init) || node.init.type === 'CallExpression') {
+        localFunctions.set(node.id.name, p.get('init'));
+      }
+    },
+
+    FunctionDeclaration(p) {
+      if (p.node.id) localFunctions.set(p.node.id.name, p);
+    },
+
+    ExportDefaultDeclaration() {
+      hasDefaultExport = true;
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      const decl = node.declaration;
+      if (decl && decl.type === 'FunctionDeclaration' && decl.id && exportNames.has(decl.id.name)) {
+        exported.set(decl.id.name, p.get('declaration'));
+      }
+      if (decl && decl.type === 'VariableDeclaration') {
+        p.get('declaration.declarations').forEach((declPath) => {
+          const id = declPath.node.id;
+          if (id.type === 'Identifier' && exportNames.has(id.name) && declPath.node.init) {
+            exported.set(id.name, declPath.get('init'));
+          }
+        });
+      }
+      // export { handler as GET, handler as POST }
+      for (const spec of node.specifiers || []) {
+        if (spec.type !== 'ExportSpecifier') continue;
+        const name = getPropertyName(spec.exported);
+        if (name === 'default') hasDefaultExport = true;
+        if (exportNames.has(name)) exported.set(name, spec.local.name);
+      }
+    }
+  });
+
+  const handlers = [];
+  for (const [name, value] of exported.entries()) {
+    const valuePath = typeof value === 'string' ? localFunctions.get(value) : value;
+    const { handlerPath, middleware } = valuePath
+      ? resolveHandler(valuePath, localFunctions)
+      : { handlerPath: null, middleware: [] };
+    const parameters = handlerPath ? collectHandlerParameters(handlerPath, schemaDefs) : {};
+    handlers.push({ name, handlerPath, middleware, parameters });
+  }
+
+  return { hasDefaultExport, handlers, schemaDefs };
+}
+
+module.exports = {
+  toRouteSegment,
+  isGroupSegment,
+  splitFilePath,
+  findRouteRoot,
+  toRoutePath,
+  collectHandlerParameters,
+  parseRouteModule
+};
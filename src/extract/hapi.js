@@ -0,0 +1,555 @@
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
+const { normalizePath, joinPaths, toKey } = require('../utils');
+const { resolveJoiSchema } = require('./joi');
+const { middlewareNameFromNode } = require('./express');
+
+const HAPI_SOURCES = new Set(['@hapi/hapi', 'hapi']);
+const SERVER_FACTORIES = new Set(['server', 'Server']);
+const HAPI_DOC_TAGS = new Set(['api']);
+
+function getStringLiteral(node) {
+  if (!node) return '';
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.quasis.length === 1) {
+    return node.quasis[0].value.cooked || '';
+  }
+  return '';
+}
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function getObjectProperty(node, keyName) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  for (const prop of node.properties || []) {
+    if (prop.type === 'ObjectMethod' && getPropertyName(prop.key) === keyName) return prop;
+    if (prop.type !== 'ObjectProperty') continue;
+    if (getPropertyName(prop.key) === keyName) return prop.value;
+  }
+  return null;
+}
+
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'ObjectMethod'
+  );
+}
+
+function isRequireCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function unwrapExpression(node) {
+  let current = node;
+  while (current && (current.type === 'AwaitExpression' || current.type === 'TSAsExpression' ||
+    current.type === 'TSSatisfiesExpression')) {
+    current = current.argument || current.expression;
+  }
+  return current;
+}
+
+function toHapiPath(routePath) {
+  // /files/{path*} and /users/{id?} -> /files/{path} and /users/{id}
+  return routePath.replace(/{([A-Za-z0-9_]+)(\?|\*\d*)}/g, '{$1}');
+}
+
+async function parseHapiFile(filePath) {
+  const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const hapiNames = new Set();
+  const values = new Map();
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
+  const plugins = new Map(); // plugin object node -> plugin id
+  const registerFns = new Map(); // register function node -> plugin id
+  const routeCalls = [];
+  const registerCalls = [];
+  let defaultAuth = false;
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
+
+  // Pass 1: Hapi bindings, values, imports and exports
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      for (const spec of p.node.specifiers || []) {
+        if (HAPI_SOURCES.has(source)) {
+          hapiNames.add(spec.local.name);
+          continue;
+        }
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportNamespaceSpecifier') registerImport(spec.local.name, source, '*');
+        if (spec.type === 'ImportSpecifier') {
+          registerImport(spec.local.name, source, getPropertyName(spec.imported));
+        }
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          if (HAPI_SOURCES.has(source)) {
+            hapiNames.add(prop.value.name);
+            continue;
+          }
+          registerImport(prop.value.name, source, getPropertyName(prop.key));
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      const varName = node.id.name;
+
+      if (isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        if (HAPI_SOURCES.has(source)) {
+          hapiNames.add(varName);
+          return;
+        }
+        registerImport(varName, source, 'default');
+        return;
+      }
+      values.set(varName, node.init);
+    },
+
+    FunctionDeclaration(p) {
+      if (p.node.id) values.set(p.node.id.name, p.node);
+    },
+
+    ExportDefaultDeclaration(p) {
+      if (p.node.declaration) exports.default = p.node.declaration;
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const decl of node.declaration.declarations) {
+          if (decl.id.type === 'Identifier') exports.named.set(decl.id.name, decl.id);
+        }
+      }
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression') return;
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      if (objectName === 'module' && propName === 'exports') {
+        exports.default = right;
+        return;
+      }
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) exports.named.set(propName, right);
+    }
+  });
+
+  // Plugin objects: { name: 'users', register: async (server, options) => { ... } }
+  traverse(ast, {
+    ObjectExpression(p) {
+      const node = p.node;
+      if (!getObjectProperty(node, 'name') && !getObjectProperty(node, 'pkg')) return;
+      let register = getObjectProperty(node, 'register');
+      if (register && register.type === 'Identifier') register = values.get(register.name) || null;
+      if (!isFunctionNode(register)) return;
+      const pluginId = `plugin@${node.start}`;
+      plugins.set(node, pluginId);
+      registerFns.set(register, pluginId);
+    }
+  });
+
+  function isServerFactory(node) {
+    // Hapi.server() / new Hapi.Server() / server() from '@hapi/hapi'
+    const init = unwrapExpression(node);
+    if (!init || (init.type !== 'CallExpression' && init.type !== 'NewExpression')) return false;
+    const callee = init.callee;
+    if (callee.type === 'Identifier') return hapiNames.has(callee.name);
+    return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+      hapiNames.has(callee.object.name) && SERVER_FACTORIES.has(getPropertyName(callee.property));
+  }
+
+  function resolveScope(p, name) {
+    const binding = p.scope.getBinding(name);
+    if (!binding) return null;
+    if (binding.kind === 'param') {
+      const fn = binding.path.parentPath && binding.path.parentPath.node;
+      return registerFns.get(fn) || null;
+    }
+    if (binding.path.node.type === 'VariableDeclarator' && isServerFactory(binding.path.node.init)) {
+      return `server@${binding.identifier.start}`;
+    }
+    return null;
+  }
+
+  // Pass 2: server.route(), server.register() and server.auth.default()
+  traverse(ast, {
+    CallExpression(p) {
+      const node = p.node;
+      if (node.callee.type !== 'MemberExpression') return;
+      const methodName = getPropertyName(node.callee.property);
+      const target = node.callee.object;
+
+      if (methodName === 'default' && target.type === 'MemberExpression' &&
+        getPropertyName(target.property) === 'auth') {
+        defaultAuth = true;
+        return;
+      }
+
+      if (methodName !== 'route' && methodName !== 'register') return;
+      if (target.type !== 'Identifier') return;
+      const scopeId = resolveScope(p, target.name);
+      if (!scopeId || !node.arguments[0]) return;
+
+      if (methodName === 'route') {
+        routeCalls.push({ scopeId, node: node.arguments[0] });
+      } else {
+        registerCalls.push({ scopeId, node: node.arguments[0], options: node.arguments[1] || null });
+      }
+    }
+  });
+
+  return {
+    filePath,
+    values,
+    exports,
+    imports,
+    plugins,
+    routeCalls,
+    registerCalls,
+    defaultAuth
+  };
+}
+
+function scopeKey(filePath, scopeId) {
+  return `${filePath}::${scopeId}`;
+}
+
+function exportNode(target, importName) {
+  if (!target) return null;
+  return importName === 'default' ? target.exports.default : target.exports.named.get(importName) || null;
+}
+
+function resolveValue(data, node, fileDataMap, depth = 0) {
+  // Follows identifiers, imports and require() until it reaches a literal node
+  const current = unwrapExpression(node);
+  if (!current || depth > 10) return { data, node: null };
+
+  if (current.type === 'Identifier') {
+    if (data.values.has(current.name)) {
+      return resolveValue(data, data.values.get(current.name), fileDataMap, depth + 1);
+    }
+    if (!data.imports.has(current.name)) return { data, node: null };
+    const imp = data.imports.get(current.name);
+    const target = fileDataMap.get(imp.sourceFile);
+    if (!target) return { data, node: null };
+    if (imp.importName === '*') return { data: target, node: null, module: target };
+    const exported = exportNode(target, imp.importName);
+    if (!exported && imp.importName === 'default') return { data: target, node: null, module: target };
+    return resolveValue(target, exported, fileDataMap, depth + 1);
+  }
+
+  if (isRequireCall(current)) {
+    const sourceFile = resolveImportFile(path.dirname(data.filePath), current.arguments[0].value);
+    const target = sourceFile ? fileDataMap.get(sourceFile) : null;
+    if (!target) return { data, node: null };
+    const exported = exportNode(target, 'default');
+    if (!exported) return { data: target, node: null, module: target };
+    return resolveValue(target, exported, fileDataMap, depth + 1);
+  }
+
+  if (current.type === 'MemberExpression') {
+    const propName = getPropertyName(current.property);
+    const owner = resolveValue(data, current.object, fileDataMap, depth + 1);
+    if (owner.module) return resolveValue(owner.module, exportNode(owner.module, propName), fileDataMap, depth + 1);
+    if (owner.node && owner.node.type === 'ObjectExpression') {
+      return resolveValue(owner.data, getObjectProperty(owner.node, propName), fileDataMap, depth + 1);
+    }
+    return { data, node: null };
+  }
+
+  return { data, node: current };
+}
+
+function resolvePlugin(data, node, fileDataMap, depth = 0) {
+  if (depth > 5) return null;
+  const resolved = resolveValue(data, node, fileDataMap);
+  if (resolved.module) {
+    // A module exporting `plugin` can be registered as a whole
+    const exported = exportNode(resolved.module, 'plugin');
+    return exported ? resolvePlugin(resolved.module, exported, fileDataMap, depth + 1) : null;
+  }
+  if (!resolved.node || resolved.node.type !== 'ObjectExpression') return null;
+  if (resolved.data.plugins.has(resolved.node)) {
+    return scopeKey(resolved.data.filePath, resolved.data.plugins.get(resolved.node));
+  }
+  const inner = getObjectProperty(resolved.node, 'plugin');
+  return inner ? resolvePlugin(resolved.data, inner, fileDataMap, depth + 1) : null;
+}
+
+function getRoutesPrefix(data, node, fileDataMap) {
+  // { routes: { prefix: '/users' } }
+  const resolved = resolveValue(data, node, fileDataMap);
+  if (!resolved.node || resolved.node.type !== 'ObjectExpression') return '';
+  const routes = resolveValue(resolved.data, getObjectProperty(resolved.node, 'routes'), fileDataMap);
+  return getStringLiteral(getObjectProperty(routes.node, 'prefix'));
+}
+
+function collectRegistrations(data, call, fileDataMap) {
+  const sharedPrefix = getRoutesPrefix(data, call.options, fileDataMap);
+  const resolved = resolveValue(data, call.node, fileDataMap);
+  const items = resolved.node && resolved.node.type === 'ArrayExpression'
+    ? resolved.node.elements.map((el) => ({ data: resolved.data, node: el }))
+    : [{ data, node: call.node }];
+
+  const out = [];
+  for (const item of items) {
+    if (!item.node) continue;
+    const childId = resolvePlugin(item.data, item.node, fileDataMap);
+    if (!childId) continue;
+    // server.register({ plugin, routes: { prefix } }) wins over the shared register options
+    const ownPrefix = getRoutesPrefix(item.data, item.node, fileDataMap);
+    out.push({ childId, prefix: ownPrefix || sharedPrefix });
+  }
+  return out;
+}
+
+function collectRouteObjects(data, node, fileDataMap, out, depth = 0) {
+  if (depth > 8) return;
+  const resolved = resolveValue(data, node, fileDataMap);
+  if (!resolved.node) return;
+  if (resolved.node.type === 'ArrayExpression') {
+    for (const el of resolved.node.elements || []) {
+      if (!el) continue;
+      const item = el.type === 'SpreadElement' ? el.argument : el;
+      collectRouteObjects(resolved.data, item, fileDataMap, out, depth + 1);
+    }
+    return;
+  }
+  if (resolved.node.type === 'ObjectExpression' && getObjectProperty(resolved.node, 'path')) {
+    out.push({ data: resolved.data, node: resolved.node });
+  }
+}
+
+function schemaToParamList(schema, { forcePathRequired = false } = {}) {
+  if (!schema || !schema.properties) return [];
+  return Object.entries(schema.properties).map(([key, val]) => ({
+    name: key,
+    key,
+    required: forcePathRequired ? true : !val.optional,
+    type: (val && val.type) || 'string',
+    example: val ? val.example : undefined
+  }));
+}
+
+function parseMethods(node) {
+  const list = node && node.type === 'ArrayExpression' ? node.elements : [node];
+  const methods = [];
+  for (const el of list || []) {
+    const value = getStringLiteral(el).toUpperCase();
+    if (!value) continue;
+    methods.push(value === '*' ? 'ALL' : value);
+  }
+  return methods;
+}
+
+function parseAuth(node) {
+  // auth: false opts the route out; a strategy name or config object opts it in
+  if (!node) return undefined;
+  if (node.type === 'BooleanLiteral') return node.value ? true : false;
+  if (node.type === 'StringLiteral') return true;
+  if (node.type === 'ObjectExpression') {
+    const mode = getStringLiteral(getObjectProperty(node, 'mode'));
+    return mode === 'optional' || mode === 'try' ? undefined : true;
+  }
+  return undefined;
+}
+
+function parsePre(node) {
+  // pre: [{ method: loadUser, assign: 'user' }, checkScope]
+  const names = [];
+  if (!node || node.type !== 'ArrayExpression') return names;
+  for (const el of node.elements || []) {
+    const entries = el && el.type === 'ArrayExpression' ? el.elements : [el];
+    for (const entry of entries) {
+      const target = entry && entry.type === 'ObjectExpression' ? getObjectProperty(entry, 'method') : entry;
+      const name = middlewareNameFromNode(target);
+      if (name) names.push(name);
+    }
+  }
+  return names;
+}
+
+function parseRoute(data, node, fileDataMap) {
+  const routePath = getStringLiteral(getObjectProperty(node, 'path'));
+  const methods = parseMethods(getObjectProperty(node, 'method'));
+  if (!routePath || !methods.length) return null;
+
+  const route = {
+    methods,
+    path: toHapiPath(routePath),
+    summary: undefined,
+    description: undefined,
+    tags: [],
+    middleware: [],
+    auth: undefined,
+    parameters: {}
+  };
+
+  const options = resolveValue(data, getObjectProperty(node, 'options') || getObjectProperty(node, 'config'), fileDataMap);
+  if (!options.node || options.node.type !== 'ObjectExpression') return route;
+  const optionsData = options.data;
+
+  route.summary = getStringLiteral(getObjectProperty(options.node, 'description')) || undefined;
+  const notes = getObjectProperty(options.node, 'notes');
+  if (notes && notes.type === 'ArrayExpression') {
+    route.description = notes.elements.map(getStringLiteral).filter(Boolean).join('\n') || undefined;
+  } else {
+    route.description = getStringLiteral(notes) || undefined;
+  }
+  const tags = getObjectProperty(options.node, 'tags');
+  if (tags && tags.type === 'ArrayExpression') {
+    // hapi-swagger only lists routes tagged 'api'; it isn't a real grouping
+    route.tags = tags.elements.map(getStringLiteral).filter((tag) => tag && !HAPI_DOC_TAGS.has(tag));
+  }
+  route.auth = parseAuth(getObjectProperty(options.node, 'auth'));
+  route.middleware = parsePre(getObjectProperty(options.node, 'pre'));
+
+  const validate = resolveValue(optionsData, getObjectProperty(options.node, 'validate'), fileDataMap);
+  if (!validate.node || validate.node.type !== 'ObjectExpression') return route;
+
+  function resolveSegment(name) {
+    const segment = resolveValue(validate.data, getObjectProperty(validate.node, name), fileDataMap);
+    return segment.node ? resolveJoiSchema(segment.node, segment.data.values) : null;
+  }
+
+  const body = resolveSegment('payload');
+  if (body && body.properties) {
+    const { optional, ...rest } = body;
+    route.parameters.body = rest;
+  }
+  const query = schemaToParamList(resolveSegment('query'));
+  if (query.length) route.parameters.query = query;
+  const params = schemaToParamList(resolveSegment('params'), { forcePathRequired: true });
+  if (params.length) route.parameters.path = params;
+
+  return route;
+}
+
+async function extractHapiEndpoints(files) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseHapiFile(file);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  // server.auth.default() makes every route authenticated unless it sets auth: false
+  const defaultAuth = Array.from(fileDataMap.values()).some((data) => data.defaultAuth);
+
+  const allScopes = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const call of [...data.routeCalls, ...data.registerCalls]) {
+      allScopes.add(scopeKey(data.filePath, call.scopeId));
+    }
+    for (const pluginId of data.plugins.values()) allScopes.add(scopeKey(data.filePath, pluginId));
+  }
+
+  const edges = new Map();
+  const childHasParent = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const call of data.registerCalls) {
+      const parentId = scopeKey(data.filePath, call.scopeId);
+      for (const { childId, prefix } of collectRegistrations(data, call, fileDataMap)) {
+        if (!edges.has(parentId)) edges.set(parentId, []);
+        edges.get(parentId).push({ childId, prefix });
+        childHasParent.add(childId);
+      }
+    }
+  }
+
+  // Plugin route prefixes stack when a plugin registers another plugin
+  const prefixesByScope = new Map();
+  const queue = [];
+  function addPrefix(id, prefix) {
+    const seen = prefixesByScope.get(id) || new Set();
+    if (seen.has(prefix)) return;
+    seen.add(prefix);
+    prefixesByScope.set(id, seen);
+    queue.push({ id, prefix });
+  }
+
+  for (const id of allScopes) {
+    if (!childHasParent.has(id)) addPrefix(id, '');
+  }
+
+  while (queue.length) {
+    const { id, prefix } = queue.shift();
+    for (const edge of edges.get(id) || []) {
+      addPrefix(edge.childId, joinPaths(prefix, edge.prefix));
+    }
+  }
+
+  const results = [];
+  for (const data of fileDataMap.values()) {
+    for (const call of data.routeCalls) {
+      const routeObjects = [];
+      collectRouteObjects(data, call.node, fileDataMap, routeObjects);
+      const prefixes = prefixesByScope.get(scopeKey(data.filePath, call.scopeId)) || new Set(['']);
+
+      for (const routeObject of routeObjects) {
+        const route = parseRoute(routeObject.data, routeObject.node, fileDataMap);
+        if (!route) continue;
+        const auth = route.auth === undefined && defaultAuth ? true : route.auth;
+
+        for (const prefix of prefixes) {
+          const fullPath = normalizePath(joinPaths(prefix, route.path));
+          for (const method of route.methods) {
+            results.push({
+              method,
+              path: fullPath,
+              summary: route.summary,
+              description: route.description || `${method} ${fullPath}`,
+              tags: route.tags,
+              middleware: route.middleware,
+              auth,
+              parameters: route.parameters,
+              filePath: routeObject.data.filePath,
+              key: toKey(method, fullPath)
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { extractHapiEndpoints };
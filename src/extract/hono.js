@@ -1,7 +1,7 @@
 const traverse = require('@babel/traverse').default;
 const path = require('path');
-const fs = require('fs-extra');
 const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
 const { normalizePath, joinPaths, toKey, HTTP_METHODS } = require('../utils');
 const { resolveZodSchema } = require('./zod');
 
@@ -25,39 +25,6 @@ function getPropertyName(node) {
   return null;
 }
 
-function resolveImportFile(baseDir, source) {
-  const tryFiles = [];
-
-  if (path.isAbsolute(source)) {
-    tryFiles.push(source);
-  } else {
-    tryFiles.push(path.resolve(baseDir, source));
-  }
-
-  const ext = path.extname(source);
-  if (ext === '.js') {
-    tryFiles.push(path.resolve(baseDir, source.replace(/\.js$/, '.ts')));
-    tryFiles.push(path.resolve(baseDir, source.replace(/\.js$/, '.tsx')));
-  }
-  if (ext === '.jsx') {
-    tryFiles.push(path.resolve(baseDir, source.replace(/\.jsx$/, '.tsx')));
-  }
-
-  if (!ext) {
-    tryFiles.push(path.resolve(baseDir, `${source}.ts`));
-    tryFiles.push(path.resolve(baseDir, `${source}.tsx`));
-    tryFiles.push(path.resolve(baseDir, `${source}.js`));
-    tryFiles.push(path.resolve(baseDir, `${source}.jsx`));
-    tryFiles.push(path.resolve(baseDir, source, 'index.ts'));
-    tryFiles.push(path.resolve(baseDir, source, 'index.js'));
-  }
-
-  for (const candidate of tryFiles) {
-    if (fs.existsSync(candidate)) return candidate;
-  }
-  return null;
-}
-
 function parseCreateRoute(node, schemaDefs) {
   if (!node || node.type !== 'CallExpression') return null;
   if (node.callee.type !== 'Identifier' || node.callee.name !== 'createRoute') return null;
@@ -498,7 +465,8 @@ async function parseHonoFile(filePath) {
           if (!routers.has(routerVar)) routers.set(routerVar, { basePath: '' });
           const method = methodName === 'all' ? 'ALL' : methodName.toUpperCase();
           const routePath = getStringLiteral(node.arguments[0]);
-          if (routePath) {
+          // A route always has a handler; req.get('/header') and c.get('key') don't
+          if (routePath && node.arguments.length > 1) {
             const params = {};
             const middleware = [];
             for (const arg of node.arguments.slice(1)) {
@@ -708,4 +676,4 @@ async function extractHonoEndpoints(files) {
   return results;
 }
 
-module.exports = { extractHonoEndpoints };
+module.exports = { extractHonoEndpoints, parseCallChain };
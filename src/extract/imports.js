@@ -0,0 +1,27 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+function resolveImportFile(baseDir, source) {
+  const base = path.resolve(baseDir, source);
+  const tryFiles = [base];
+
+  // './users.routes' and './users.router' carry a dot but no real extension
+  const ext = path.extname(source);
+  if (SOURCE_EXTENSIONS.includes(ext)) {
+    // ESM TypeScript imports name the compiled file: './users.js' -> './users.ts'
+    if (ext === '.js') tryFiles.push(base.replace(/\.js$/, '.ts'), base.replace(/\.js$/, '.tsx'));
+    if (ext === '.jsx') tryFiles.push(base.replace(/\.jsx$/, '.tsx'));
+  } else {
+    for (const candidate of SOURCE_EXTENSIONS) tryFiles.push(`${base}${candidate}`);
+    tryFiles.push(path.join(base, 'index.ts'), path.join(base, 'index.js'));
+  }
+
+  for (const candidate of tryFiles) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  return null;
+}
+
+module.exports = { resolveImportFile };
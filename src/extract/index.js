@@ -1,54 +1,108 @@
 const { extractNestJsEndpoints } = require('./nestjs');
 const { extractExpressEndpoints } = require('./express');
 const { extractHonoEndpoints } = require('./hono');
+const { extractFastifyEndpoints } = require('./fastify');
+const { extractKoaEndpoints } = require('./koa');
+const { extractNextJsEndpoints } = require('./nextjs');
+const { extractTrpcEndpoints } = require('./trpc');
+const { extractElysiaEndpoints } = require('./elysia');
+const { extractHapiEndpoints } = require('./hapi');
+const { extractNitroEndpoints } = require('./nitro');
+const { extractSvelteKitEndpoints } = require('./sveltekit');
+const { extractRemixEndpoints } = require('./remix');
 
-async function extractEndpoints(filePath, framework) {
+// Frameworks whose routes can only be resolved by looking at all files together
+const CROSS_FILE_EXTRACTORS = {
+  express: extractExpressEndpoints,
+  hono: extractHonoEndpoints,
+  fastify: extractFastifyEndpoints,
+  koa: extractKoaEndpoints,
+  nextjs: extractNextJsEndpoints,
+  trpc: extractTrpcEndpoints,
+  elysia: extractElysiaEndpoints,
+  hapi: extractHapiEndpoints,
+  nitro: extractNitroEndpoints,
+  sveltekit: extractSvelteKitEndpoints,
+  remix: extractRemixEndpoints
+};
+
+// Auto mode runs all of these and merges what they find, since one repo can hold several (a Next.js front end
+// next to an Express API). Fastify, Koa, Elysia, Hapi and Express only claim confirmed routers; Hono accepts
+// any app.get('/path') call, so it only reads the files none of these claimed
+const AUTO_CROSS_FILE_ORDER = ['remix', 'nextjs', 'nitro', 'sveltekit', 'fastify', 'koa', 'elysia', 'hapi', 'express'];
+
+// Extractors that accept any router-looking owner unless told to stick to confirmed ones
+const AUTO_OPTIONS = { express: { confirmedOnly: true } };
+
+async function extractEndpoints(filePath, framework, options = {}) {
   if (framework === 'nestjs') {
     try {
-      return await extractNestJsEndpoints(filePath);
+      return await extractNestJsEndpoints(filePath, options);
     } catch {
       return [];
     }
   }
   if (framework === 'express') {
     try {
-      return await extractExpressEndpoints(filePath);
+      return await extractExpressEndpoints([filePath]);
     } catch {
       return [];
     }
   }
-  if (framework === 'hono') return [];
+  if (CROSS_FILE_EXTRACTORS[framework]) return [];
   // auto: try NestJS then Express
   let nest = [];
   let exp = [];
   try {
-    nest = await extractNestJsEndpoints(filePath);
+    nest = await extractNestJsEndpoints(filePath, options);
   } catch {
     nest = [];
   }
   try {
-    exp = await extractExpressEndpoints(filePath);
+    exp = await extractExpressEndpoints([filePath]);
   } catch {
     exp = [];
   }
+  return mergeByKey([...nest, ...exp]);
+}
+
+function mergeByKey(endpoints) {
   const map = new Map();
-  for (const e of [...nest, ...exp]) map.set(e.key, e);
+  for (const e of endpoints) map.set(e.key, e);
   return Array.from(map.values());
 }
 
-async function extractAllEndpoints(files, framework) {
-  if (framework === 'hono') {
-    return extractHonoEndpoints(files);
+async function extractAllEndpoints(files, framework, options = {}) {
+  if (CROSS_FILE_EXTRACTORS[framework]) {
+    return CROSS_FILE_EXTRACTORS[framework](files);
   }
 
   if (framework === 'auto') {
+    // tRPC procedures are served through one of the HTTP frameworks, so they're added on top
+    const trpc = await extractTrpcEndpoints(files);
+    // NestJS controllers can sit next to any of these (a Nuxt or Next.js front end with its own API routes),
+    // so they're always extracted and merged in rather than shadowed by the first framework that matches
+    const nest = await extractPerFile(files, 'nestjs', options);
+    const found = [];
+    for (const name of AUTO_CROSS_FILE_ORDER) {
+      found.push(...await CROSS_FILE_EXTRACTORS[name](files, AUTO_OPTIONS[name]));
+    }
+    // e.g. module.exports = (router) => { router.get('/orders', ...) }, where Express can't confirm the router
+    const claimed = new Set([...found, ...nest, ...trpc].map((e) => e.filePath));
     const hono = await extractHonoEndpoints(files);
-    if (hono.length) return hono;
+    found.push(...hono.filter((e) => !claimed.has(e.filePath)));
+    if (found.length) return [...mergeByKey([...found, ...nest]), ...trpc];
+    const endpoints = await extractPerFile(files, framework, options);
+    return [...endpoints, ...trpc];
   }
 
+  return extractPerFile(files, framework, options);
+}
+
+async function extractPerFile(files, framework, options) {
   const endpoints = [];
   for (const file of files) {
-    const extracted = await extractEndpoints(file, framework);
+    const extracted = await extractEndpoints(file, framework, options);
     endpoints.push(...extracted);
   }
   return endpoints;
@@ -0,0 +1,195 @@
+// Joi keys are optional unless marked .required(), the opposite of Zod
+const JOI_ROOT_NAMES = new Set(['Joi', 'joi']);
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function literalFromNode(node) {
+  if (!node) return undefined;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    return node.value;
+  }
+  if (node.type === 'NullLiteral') return null;
+  if (node.type === 'ArrayExpression') {
+    return (node.elements || []).map((el) => literalFromNode(el));
+  }
+  if (node.type === 'ObjectExpression') {
+    const out = {};
+    for (const prop of node.properties || []) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (!key) continue;
+      out[key] = literalFromNode(prop.value);
+    }
+    return out;
+  }
+  return undefined;
+}
+
+function resolveKeys(node, schemaDefs, depth, seen) {
+  const properties = {};
+  for (const prop of (node && node.properties) || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    const key = getPropertyName(prop.key);
+    if (!key) continue;
+    properties[key] = resolveJoiSchema(prop.value, schemaDefs, depth + 1, seen);
+  }
+  return properties;
+}
+
+function withRequiredList(schema) {
+  if (!schema.properties) return schema;
+  const required = Object.entries(schema.properties)
+    .filter(([, value]) => !value.optional)
+    .map(([key]) => key);
+  return { ...schema, required: required.length ? required : undefined };
+}
+
+function resolveJoiBase(name, args, schemaDefs, depth, seen) {
+  if (name === 'string') return { type: 'string' };
+  if (name === 'number') return { type: 'number' };
+  if (name === 'boolean' || name === 'bool') return { type: 'boolean' };
+  if (name === 'date') return { type: 'string', format: 'date-time' };
+  if (name === 'binary') return { type: 'string', format: 'binary' };
+  if (name === 'array') return { type: 'array', items: { type: 'string' } };
+  if (name === 'object') {
+    const arg = args[0];
+    if (arg && arg.type === 'ObjectExpression') {
+      return { type: 'object', properties: resolveKeys(arg, schemaDefs, depth, seen) };
+    }
+    return { type: 'object' };
+  }
+  if (name === 'alternatives' || name === 'alt') {
+    const first = args[0] && args[0].type === 'ArrayExpression' ? args[0].elements[0] : args[0];
+    return first ? resolveJoiSchema(first, schemaDefs, depth + 1, seen) : { type: 'string' };
+  }
+  if (name === 'valid' || name === 'allow') {
+    const values = args.map((arg) => literalFromNode(arg)).filter((v) => v !== undefined);
+    return { type: typeof values[0] === 'number' ? 'number' : 'string', enum: values, example: values[0] };
+  }
+  return { type: 'string' };
+}
+
+function applyModifier(schema, name, args, schemaDefs, depth, seen) {
+  const out = { ...schema };
+  if (name === 'required' || name === 'exist') {
+    delete out.optional;
+  } else if (name === 'optional') {
+    out.optional = true;
+  } else if (name === 'integer') {
+    out.type = 'integer';
+  } else if (name === 'email') {
+    out.format = 'email';
+  } else if (name === 'uri') {
+    out.format = 'uri';
+  } else if (name === 'uuid' || name === 'guid') {
+    out.format = 'uuid';
+  } else if (name === 'isoDate' || name === 'timestamp') {
+    out.format = 'date-time';
+  } else if (name === 'valid' || name === 'only' || name === 'equal') {
+    const values = args.map((arg) => literalFromNode(arg)).filter((v) => v !== undefined);
+    if (values.length) {
+      out.enum = values;
+      out.example = values[0];
+    }
+  } else if (name === 'allow') {
+    if (args.some((arg) => arg && arg.type === 'NullLiteral')) out.nullable = true;
+  } else if (name === 'default' || name === 'example') {
+    const value = literalFromNode(args[0]);
+    if (value !== undefined && typeof value !== 'function') out.example = value;
+  } else if (name === 'description') {
+    const value = literalFromNode(args[0]);
+    if (typeof value === 'string') out.description = value;
+  } else if (name === 'keys' || name === 'append') {
+    const arg = args[0];
+    if (arg && arg.type === 'ObjectExpression') {
+      out.type = 'object';
+      out.properties = { ...(out.properties || {}), ...resolveKeys(arg, schemaDefs, depth, seen) };
+    }
+  } else if (name === 'items') {
+    if (args[0]) {
+      const { optional, ...items } = resolveJoiSchema(args[0], schemaDefs, depth + 1, seen);
+      out.items = items;
+    }
+  }
+  return out;
+}
+
+function resolveJoiSchema(node, schemaDefs, depth = 0, seen = new Set()) {
+  if (!node || depth > 12) return { type: 'string', optional: true };
+
+  if (node.type === 'Identifier') {
+    if (schemaDefs.has(node.name)) {
+      if (seen.has(node.name)) return { type: 'object', optional: true };
+      seen.add(node.name);
+      const resolved = resolveJoiSchema(schemaDefs.get(node.name), schemaDefs, depth + 1, seen);
+      seen.delete(node.name);
+      return resolved;
+    }
+    return { type: 'object', optional: true };
+  }
+
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+    return resolveJoiSchema(node.expression, schemaDefs, depth + 1, seen);
+  }
+
+  // Hapi and celebrate accept plain objects of Joi schemas as shorthand for Joi.object()
+  if (node.type === 'ObjectExpression') {
+    return withRequiredList({ type: 'object', properties: resolveKeys(node, schemaDefs, depth, seen), optional: true });
+  }
+
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') {
+    return { type: 'string', optional: true };
+  }
+
+  // Joi.string().email().required() -> walk back to the Joi root, then replay modifiers
+  const calls = [];
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    calls.unshift({ name: getPropertyName(current.callee.property), args: current.arguments || [] });
+    current = current.callee.object;
+  }
+
+  let schema;
+  if (current && current.type === 'Identifier' && JOI_ROOT_NAMES.has(current.name)) {
+    const base = calls.shift();
+    schema = { ...resolveJoiBase(base.name, base.args, schemaDefs, depth, seen), optional: true };
+  } else if (current && current.type === 'Identifier' && schemaDefs.has(current.name)) {
+    // baseSchema.keys({...}) reuses another schema
+    schema = resolveJoiSchema(current, schemaDefs, depth + 1, seen);
+  } else {
+    return { type: 'string', optional: true };
+  }
+
+  for (const call of calls) {
+    schema = applyModifier(schema, call.name, call.args, schemaDefs, depth, seen);
+  }
+
+  return withRequiredList(schema);
+}
+
+function isJoiSchema(node, schemaDefs, seen = new Set()) {
+  // Follows Joi.object({...}).keys(...) chains and schema variables back to the Joi root
+  if (!node) return false;
+  if (node.type === 'Identifier') {
+    if (JOI_ROOT_NAMES.has(node.name)) return true;
+    if (!schemaDefs.has(node.name) || seen.has(node.name)) return false;
+    seen.add(node.name);
+    return isJoiSchema(schemaDefs.get(node.name), schemaDefs, seen);
+  }
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+    return isJoiSchema(node.expression, schemaDefs, seen);
+  }
+  if (node.type === 'ObjectExpression') {
+    return (node.properties || []).some((prop) => prop.type === 'ObjectProperty' && isJoiSchema(prop.value, schemaDefs, seen));
+  }
+  if (node.type === 'CallExpression') return isJoiSchema(node.callee, schemaDefs, seen);
+  if (node.type === 'MemberExpression') return isJoiSchema(node.object, schemaDefs, seen);
+  return false;
+}
+
+module.exports = { resolveJoiSchema, isJoiSchema };
@@ -0,0 +1,352 @@
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
+const { normalizePath, joinPaths, toKey, HTTP_METHODS } = require('../utils');
+const { collectMiddlewareNames, extractSchemasFromArgs } = require('./express');
+
+const KOA_ROUTER_SOURCES = new Set(['@koa/router', 'koa-router']);
+const KOA_METHODS = new Set([...HTTP_METHODS, 'del', 'all']);
+
+function getStringLiteral(node) {
+  if (!node) return '';
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.quasis.length === 1) {
+    return node.quasis[0].value.cooked || '';
+  }
+  return '';
+}
+
+function isStringNode(node) {
+  return !!node && (node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.quasis.length === 1));
+}
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function getObjectProperty(node, keyName) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  for (const prop of node.properties || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    if (getPropertyName(prop.key) === keyName) return prop.value;
+  }
+  return null;
+}
+
+function isRequireCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function getChainRoot(node) {
+  // router.get(...).post(...) -> router
+  let current = node;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    current = current.callee.object;
+  }
+  return current && current.type === 'Identifier' ? current.name : null;
+}
+
+function getRoutesCallTarget(node) {
+  // child.routes() / require('./child').routes()
+  if (!node || node.type !== 'CallExpression') return null;
+  if (node.callee.type !== 'MemberExpression') return null;
+  if (getPropertyName(node.callee.property) !== 'routes') return null;
+  return node.callee.object;
+}
+
+async function parseKoaFile(filePath) {
+  const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const routerClassNames = new Set();
+  const routers = new Map(); // varName -> { prefix, middleware }
+  const endpoints = [];
+  const mounts = [];
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
+  const schemaDefs = new Map();
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
+
+  // Pass 1: router class bindings, router instances, imports and exports
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      for (const spec of p.node.specifiers || []) {
+        if (KOA_ROUTER_SOURCES.has(source)) {
+          routerClassNames.add(spec.local.name);
+          continue;
+        }
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportSpecifier') {
+          registerImport(spec.local.name, source, getPropertyName(spec.imported));
+        }
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          registerImport(prop.value.name, node.init.arguments[0].value, getPropertyName(prop.key));
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      const varName = node.id.name;
+
+      if (isRequireCall(node.init)) {
+        const source = node.init.arguments[0].value;
+        if (KOA_ROUTER_SOURCES.has(source)) {
+          routerClassNames.add(varName);
+          return;
+        }
+        registerImport(varName, source, 'default');
+        return;
+      }
+
+      if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression') {
+        schemaDefs.set(varName, node.init);
+      }
+    },
+
+    ExportDefaultDeclaration(p) {
+      const decl = p.node.declaration;
+      if (decl && decl.type === 'Identifier') exports.default = decl.name;
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const decl of node.declaration.declarations) {
+          if (decl.id.type === 'Identifier') exports.named.set(decl.id.name, decl.id.name);
+        }
+      }
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local.name);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression' || right.type !== 'Identifier') return;
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      if (objectName === 'module' && propName === 'exports') {
+        exports.default = right.name;
+        return;
+      }
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) exports.named.set(propName, right.name);
+    }
+  });
+
+  if (!routerClassNames.size) {
+    return { filePath, routers, endpoints, mounts, exports, imports };
+  }
+
+  traverse(ast, {
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type !== 'Identifier' || !node.init || node.init.type !== 'NewExpression') return;
+      const callee = node.init.callee;
+      if (callee.type !== 'Identifier' || !routerClassNames.has(callee.name)) return;
+      const opts = node.init.arguments && node.init.arguments[0];
+      routers.set(node.id.name, {
+        prefix: getStringLiteral(getObjectProperty(opts, 'prefix')),
+        middleware: []
+      });
+    }
+  });
+
+  function resolveChildRef(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return { ident: node.name };
+    if (isRequireCall(node)) {
+      const resolved = resolveImportFile(baseDir, node.arguments[0].value);
+      return resolved ? { sourceFile: resolved, importName: 'default' } : null;
+    }
+    return null;
+  }
+
+  // Pass 2: routes, router.prefix() and router.use() mounts
+  traverse(ast, {
+    CallExpression(p) {
+      const node = p.node;
+      if (node.callee.type !== 'MemberExpression') return;
+      const methodName = getPropertyName(node.callee.property);
+      const routerVar = getChainRoot(node.callee.object);
+      if (!methodName || !routerVar || !routers.has(routerVar)) return;
+      const args = node.arguments || [];
+
+      if (methodName === 'prefix' && node.callee.object.type === 'Identifier') {
+        const prefix = getStringLiteral(args[0]);
+        if (prefix) routers.get(routerVar).prefix = prefix;
+        return;
+      }
+
+      if (methodName === 'use') {
+        const prefix = isStringNode(args[0]) ? getStringLiteral(args[0]) : '';
+        const rest = isStringNode(args[0]) ? args.slice(1) : args;
+        const childIndex = rest.findIndex((arg) => getRoutesCallTarget(arg));
+        if (childIndex === -1) {
+          // router.use(auth) applies to every route on this router
+          if (!prefix) routers.get(routerVar).middleware.push(...collectMiddlewareNames(rest));
+          return;
+        }
+        const ref = resolveChildRef(getRoutesCallTarget(rest[childIndex]));
+        if (!ref) return;
+        mounts.push({
+          parentVar: routerVar,
+          ref,
+          prefix,
+          middleware: collectMiddlewareNames(rest.slice(0, childIndex))
+        });
+        return;
+      }
+
+      if (!KOA_METHODS.has(methodName)) return;
+
+      // router.get('user', '/users/:id', handler) takes an optional route name first
+      const hasName = isStringNode(args[0]) && isStringNode(args[1]);
+      const pathArg = hasName ? args[1] : args[0];
+      if (!isStringNode(pathArg)) return;
+      const routePath = getStringLiteral(pathArg);
+      const handlerArgs = args.slice(hasName ? 2 : 1);
+
+      let method = methodName.toUpperCase();
+      if (methodName === 'del') method = 'DELETE';
+      const { body, query } = extractSchemasFromArgs(handlerArgs, method, schemaDefs);
+
+      endpoints.push({
+        routerVar,
+        method,
+        path: routePath,
+        middleware: collectMiddlewareNames(handlerArgs),
+        parameters: { body, query },
+        position: node.callee.property.start
+      });
+    }
+  });
+
+  // Chained calls are visited outermost first; keep routes in source order
+  endpoints.sort((a, b) => a.position - b.position);
+
+  return { filePath, routers, endpoints, mounts, exports, imports };
+}
+
+function routerId(filePath, varName) {
+  return `${filePath}::${varName}`;
+}
+
+function resolveExportedRouter(target, importName) {
+  if (!target) return null;
+  const localName = importName === 'default' ? target.exports.default : target.exports.named.get(importName);
+  if (!localName || !target.routers.has(localName)) return null;
+  return routerId(target.filePath, localName);
+}
+
+function resolveMountTarget(ref, data, fileDataMap) {
+  if (ref.sourceFile) return resolveExportedRouter(fileDataMap.get(ref.sourceFile), ref.importName);
+  if (data.routers.has(ref.ident)) return routerId(data.filePath, ref.ident);
+  if (data.imports.has(ref.ident)) {
+    const imp = data.imports.get(ref.ident);
+    return resolveExportedRouter(fileDataMap.get(imp.sourceFile), imp.importName);
+  }
+  return null;
+}
+
+async function extractKoaEndpoints(files) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseKoaFile(file);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  const routers = new Map();
+  for (const data of fileDataMap.values()) {
+    for (const [varName, router] of data.routers.entries()) {
+      routers.set(routerId(data.filePath, varName), router);
+    }
+  }
+
+  const edges = new Map();
+  const childHasParent = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const mount of data.mounts) {
+      const parentId = routerId(data.filePath, mount.parentVar);
+      const childId = resolveMountTarget(mount.ref, data, fileDataMap);
+      if (!childId || !routers.has(childId)) continue;
+      if (!edges.has(parentId)) edges.set(parentId, []);
+      edges.get(parentId).push({ childId, prefix: mount.prefix, middleware: mount.middleware });
+      childHasParent.add(childId);
+    }
+  }
+
+  // A router's own prefix applies to its routes and to everything mounted under it
+  const contexts = new Map(); // router id -> Map(prefix -> middleware[])
+  const queue = [];
+  function visit(id, parentPrefix, parentMiddleware) {
+    const router = routers.get(id);
+    const prefix = joinPaths(parentPrefix, router.prefix || '');
+    const seen = contexts.get(id) || new Map();
+    if (seen.has(prefix)) return;
+    const middleware = Array.from(new Set([...parentMiddleware, ...router.middleware]));
+    seen.set(prefix, middleware);
+    contexts.set(id, seen);
+    queue.push({ id, prefix, middleware });
+  }
+
+  for (const id of routers.keys()) {
+    if (!childHasParent.has(id)) visit(id, '', []);
+  }
+
+  while (queue.length) {
+    const { id, prefix, middleware } = queue.shift();
+    for (const edge of edges.get(id) || []) {
+      visit(edge.childId, joinPaths(prefix, edge.prefix), [...middleware, ...edge.middleware]);
+    }
+  }
+
+  const results = [];
+  for (const data of fileDataMap.values()) {
+    for (const endpoint of data.endpoints) {
+      const id = routerId(data.filePath, endpoint.routerVar);
+      const routerContexts = contexts.get(id) || new Map([['', []]]);
+      for (const [prefix, inherited] of routerContexts.entries()) {
+        const fullPath = normalizePath(joinPaths(prefix, endpoint.path));
+        results.push({
+          method: endpoint.method,
+          path: fullPath,
+          description: `${endpoint.method} ${fullPath}`,
+          middleware: Array.from(new Set([...inherited, ...endpoint.middleware])),
+          parameters: endpoint.parameters,
+          filePath: data.filePath,
+          key: toKey(endpoint.method, fullPath)
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { extractKoaEndpoints };
@@ -13,7 +13,25 @@ const HTTP_DECORATORS = {
   Options: 'OPTIONS',
   Head: 'HEAD'
 };
-const RPC_DECORATORS = new Set(['GrpcMethod', 'GrpcStreamMethod', 'MessagePattern', 'EventPattern']);
+const RPC_DECORATORS = new Set(['GrpcMethod', 'GrpcStreamMethod', 'MessagePattern', 'EventPattern', 'SubscribeMessage']);
+const WS_ADAPTER_SOURCES = new Set(['@nestjs/platform-ws', 'ws']);
+const SOCKET_CLIENT_TYPES = new Set(['Socket', 'WebSocket']);
+
+// On @Resolver classes @Query is an operation decorator, not the HTTP query-param decorator
+const GRAPHQL_OPERATION_DECORATORS = { Query: 'query', Mutation: 'mutation', Subscription: 'subscription' };
+const GRAPHQL_SCALARS = new Set(['String', 'Int', 'Float', 'Boolean', 'ID', 'DateTime', 'Date', 'JSON', 'GraphQLISODateTime', 'GraphQLTimestamp', 'GraphQLJSON']);
+const GRAPHQL_NUMBER_SCALARS = new Set(['Int', 'Float']);
+const DEFAULT_GRAPHQL_ENDPOINT = '/graphql';
+
+// routing-controllers and tsoa follow Nest's controller shape under different decorator names
+const DECORATOR_FLAVOR_SOURCES = new Set(['routing-controllers', 'tsoa']);
+const CONTROLLER_DECORATORS = {
+  nestjs: new Set(['Controller']),
+  'routing-controllers': new Set(['Controller', 'JsonController']),
+  tsoa: new Set(['Route'])
+};
+const TAG_DECORATORS = new Set(['ApiTags', 'Tags']);
+const OPERATION_DECORATORS = new Set(['ApiOperation', 'OpenAPI']);
 
 const OPTIONAL_DECORATORS = new Set(['IsOptional', 'ApiPropertyOptional']);
 const TYPE_DECORATORS = new Map([
@@ -26,7 +44,8 @@ const TYPE_DECORATORS = new Map([
   ['Max', 'number'],
   ['IsBoolean', 'boolean']
 ]);
-const AUTH_DECORATORS = new Set(['ApiBearerAuth', 'UseGuards', 'Auth', 'Roles', 'Permissions']);
+const AUTH_DECORATORS = new Set(['ApiBearerAuth', 'UseGuards', 'UseBefore', 'Auth', 'Roles', 'Permissions', 'Authorized', 'Security']);
+const GUARD_DECORATORS = new Set(['UseGuards', 'UseBefore']);
 
 function getDecoratorName(dec) {
   const expr = dec.expression;
@@ -87,7 +106,7 @@ function hasAuthDecorator(dec) {
   const name = getDecoratorName(dec);
   if (!name) return false;
   if (AUTH_DECORATORS.has(name)) {
-    if (name !== 'UseGuards') return true;
+    if (!GUARD_DECORATORS.has(name)) return true;
     const args = getDecoratorArgs(dec);
     return args.some((arg) => {
       if (arg.type === 'Identifier') return /auth|jwt|role|permission|guard/i.test(arg.name);
@@ -129,11 +148,25 @@ function normalizeRpcSegment(value, fallback) {
   return out.replace(/[^A-Za-z0-9_.-]+/g, '-');
 }
 
-function parseRpcMeta(dec, handlerName, controllerName) {
+function parseRpcMeta(dec, handlerName, controllerName, gateway) {
   const name = getDecoratorName(dec);
   if (!name || !RPC_DECORATORS.has(name)) return null;
   const args = getDecoratorArgs(dec);
 
+  if (name === 'SubscribeMessage') {
+    // Only meaningful inside a @WebSocketGateway class
+    if (!gateway) return null;
+    const event = getSimpleLiteral(args[0]) || handlerName || 'message';
+    const namespaceLabel = gateway.namespace === '/' ? '' : ` on namespace ${gateway.namespace}`;
+    return {
+      kind: 'socket-event',
+      path: normalizePath(`/ws/${gateway.namespace}/${normalizeRpcSegment(event, 'message')}`),
+      summary: `Socket Event ${event}`,
+      description: `NestJS WebSocket handler for "${event}"${namespaceLabel}`,
+      socket: { ...gateway, event }
+    };
+  }
+
   if (name === 'GrpcMethod' || name === 'GrpcStreamMethod') {
     const service = normalizeRpcSegment(getSimpleLiteral(args[0]), controllerName || 'GrpcService');
     const method = normalizeRpcSegment(getSimpleLiteral(args[1]), handlerName || 'Call');
@@ -165,6 +198,12 @@ function parseRpcMeta(dec, handlerName, controllerName) {
   };
 }
 
+function rpcProtocol(kind) {
+  if (kind.startsWith('grpc')) return 'grpc';
+  if (kind === 'socket-event') return 'websocket';
+  return 'rpc';
+}
+
 function getDecoratorObjectArg(dec) {
   const args = getDecoratorArgs(dec);
   const first = args[0];
@@ -176,6 +215,7 @@ function getPropMetaFromDecorators(decorators) {
   let optional = false;
   let example;
   let overrideType;
+  let graphqlType;
 
   for (const dec of decorators || []) {
     const name = getDecoratorName(dec);
@@ -183,6 +223,13 @@ function getPropMetaFromDecorators(decorators) {
     if (OPTIONAL_DECORATORS.has(name)) optional = true;
     if (TYPE_DECORATORS.has(name)) overrideType = TYPE_DECORATORS.get(name);
 
+    if (name === 'Field') {
+      // @Field(() => Int, { nullable: true })
+      const options = getGraphqlOptions(dec);
+      graphqlType = getGraphqlTypeFromDecorator(dec) || graphqlType;
+      if (options.nullable) optional = true;
+    }
+
     if (name === 'ApiProperty' || name === 'ApiPropertyOptional') {
       const obj = getDecoratorObjectArg(dec);
       if (name === 'ApiPropertyOptional') optional = true;
@@ -206,7 +253,7 @@ function getPropMetaFromDecorators(decorators) {
     }
   }
 
-  return { optional, example, overrideType };
+  return { optional, example, overrideType, graphqlType };
 }
 
 function collectDtoSchemasFromAst(ast) {
@@ -238,7 +285,14 @@ function collectDtoSchemasFromAst(ast) {
         const meta = getPropMetaFromDecorators(member.decorators || []);
         const optional = member.optional === true || meta.optional;
         const typeNode = member.typeAnnotation ? member.typeAnnotation.typeAnnotation : null;
-        props.push({ name, optional, typeNode, example: meta.example, overrideType: meta.overrideType });
+        props.push({
+          name,
+          optional,
+          typeNode,
+          example: meta.example,
+          overrideType: meta.overrideType,
+          graphqlType: meta.graphqlType
+        });
       }
 
       if (props.length) dtoMap.set(className, { name: className, props });
@@ -395,13 +449,62 @@ function getParamDecoratorTarget(paramNode) {
   return paramNode && (paramNode.decorators ? paramNode : paramNode.left || paramNode);
 }
 
-function getParamDecorators(paramNode, dtoSchemas) {
+function getRequiredOption(dec) {
+  // @QueryParam('limit', { required: true })
+  for (const arg of getDecoratorArgs(dec)) {
+    if (arg.type !== 'ObjectExpression') continue;
+    for (const prop of arg.properties) {
+      if (prop.type !== 'ObjectProperty' || getPropertyName(prop.key) !== 'required') continue;
+      if (prop.value.type === 'BooleanLiteral') return prop.value.value;
+    }
+  }
+  return false;
+}
+
+function getScalarParam(name, decoratorTarget, required, dtoSchemas) {
+  const typeNode = decoratorTarget.typeAnnotation ? decoratorTarget.typeAnnotation.typeAnnotation : null;
+  const schema = schemaFromTypeNode(typeNode, dtoSchemas);
+  return {
+    name,
+    key: name,
+    required,
+    type: typeNode && schema.type !== 'object' ? schema.type : 'string',
+    example: schema.example
+  };
+}
+
+function getQueryFromDto(decoratorTarget, dtoSchemas) {
+  // @Query() query: SearchDto
+  const query = [];
+  const typeNode = decoratorTarget.typeAnnotation ? decoratorTarget.typeAnnotation.typeAnnotation : null;
+  if (!typeNode || typeNode.type !== 'TSTypeReference' || typeNode.typeName.type !== 'Identifier') return query;
+  const schema = buildSchemaForDto(typeNode.typeName.name, dtoSchemas);
+  if (!schema || !schema.properties) return query;
+  for (const [key, val] of Object.entries(schema.properties)) {
+    const isRequired = schema.required && schema.required.includes(key);
+    query.push({
+      name: key,
+      key,
+      required: !!isRequired,
+      type: val.type || 'string',
+      example: val.example
+    });
+  }
+  return query;
+}
+
+function getParamDecorators(paramNode, dtoSchemas, flavor = 'nestjs') {
   const decoratorTarget = getParamDecoratorTarget(paramNode);
   const decorators = decoratorTarget.decorators || [];
   const params = [];
   const query = [];
+  const bodyProps = [];
   let body = null;
 
+  // tsoa falls back to the parameter's own name: @Query() page?: number
+  const paramName = decoratorTarget.type === 'Identifier' ? decoratorTarget.name : null;
+  const paramOptional = decoratorTarget.optional === true || (paramNode && paramNode.type === 'AssignmentPattern');
+
   for (const dec of decorators) {
     const name = getDecoratorName(dec);
     if (!name) continue;
@@ -409,45 +512,64 @@ function getParamDecorators(paramNode, dtoSchemas) {
     if (name === 'Param') {
       if (arg) params.push({ name: arg, key: arg, required: true, type: 'string' });
     }
-    if (name === 'Query') {
+    if (name === 'Path' && flavor === 'tsoa') {
+      const key = arg || paramName;
+      if (key) params.push(getScalarParam(key, decoratorTarget, true, dtoSchemas));
+    }
+    if (name === 'Query' && flavor === 'tsoa') {
+      const key = arg || paramName;
+      if (key) query.push(getScalarParam(key, decoratorTarget, !paramOptional, dtoSchemas));
+    } else if (name === 'Query') {
       if (arg) {
         query.push({ name: arg, key: arg, required: false, type: 'string' });
       } else {
-        // @Query() query: SearchDto
-        // Check if there is a type annotation that maps to a DTO
-        const typeNode = decoratorTarget.typeAnnotation ? decoratorTarget.typeAnnotation.typeAnnotation : null;
-        if (typeNode && typeNode.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier') {
-          const dtoName = typeNode.typeName.name;
-          // Build schema to extract properties
-          // Use a temporary memo to avoid polluting global state if we were caching heavily, but here it's fine
-          const schema = buildSchemaForDto(dtoName, dtoSchemas);
-          if (schema && schema.properties) {
-            for (const [key, val] of Object.entries(schema.properties)) {
-              // Determine if required based on schema.required array
-              const isRequired = schema.required && schema.required.includes(key);
-              query.push({
-                name: key,
-                key,
-                required: !!isRequired,
-                type: val.type || 'string',
-                example: val.example
-              });
-            }
-          }
-        }
+        query.push(...getQueryFromDto(decoratorTarget, dtoSchemas));
       }
     }
+    if (name === 'QueryParam' && arg) {
+      query.push(getScalarParam(arg, decoratorTarget, getRequiredOption(dec), dtoSchemas));
+    }
+    if (name === 'QueryParams' || name === 'Queries') {
+      query.push(...getQueryFromDto(decoratorTarget, dtoSchemas));
+    }
     if (name === 'Body') {
       const typeNode = decoratorTarget.typeAnnotation ? decoratorTarget.typeAnnotation.typeAnnotation : null;
       body = schemaFromTypeNode(typeNode, dtoSchemas);
     }
+    if (name === 'BodyParam' || name === 'BodyProp') {
+      // Single body fields: @BodyParam('name') / tsoa @BodyProp() name: string
+      const key = arg || paramName;
+      const required = name === 'BodyProp' ? !paramOptional : getRequiredOption(dec);
+      if (key) bodyProps.push(getScalarParam(key, decoratorTarget, required, dtoSchemas));
+    }
   }
 
-  return { params, query, body };
+  return { params, query, body, bodyProps };
+}
+
+function buildBodyFromProps(bodyProps) {
+  const schema = { type: 'object', properties: {} };
+  for (const prop of bodyProps) {
+    schema.properties[prop.key] = { type: prop.type, example: prop.example };
+  }
+  const required = bodyProps.filter((prop) => prop.required).map((prop) => prop.key);
+  if (required.length) schema.required = required;
+  return schema;
 }
 
 function getRpcBodySchema(paramList, dtoSchemas) {
-  const skipDecorators = new Set(['Ctx', 'Context', 'Metadata', 'Headers']);
+  const skipDecorators = new Set(['Ctx', 'Context', 'Metadata', 'Headers', 'ConnectedSocket']);
+  // @MessageBody()/@Payload() name the message explicitly, wherever they sit in the signature
+  const payloadParam = (paramList || []).find((paramNode) => {
+    const target = getParamDecoratorTarget(paramNode);
+    return target && (target.decorators || []).some((dec) => ['MessageBody', 'Payload'].includes(getDecoratorName(dec)));
+  });
+  if (payloadParam) {
+    const target = getParamDecoratorTarget(payloadParam);
+    const typeNode = target.typeAnnotation ? target.typeAnnotation.typeAnnotation : null;
+    if (typeNode) return schemaFromTypeNode(typeNode, dtoSchemas);
+  }
+
   for (const paramNode of paramList || []) {
     const target = getParamDecoratorTarget(paramNode);
     if (!target) continue;
@@ -457,15 +579,230 @@ function getRpcBodySchema(paramList, dtoSchemas) {
 
     const typeNode = target.typeAnnotation ? target.typeAnnotation.typeAnnotation : null;
     if (!typeNode) continue;
+    // handleMessage(client: Socket, payload: Dto) without decorators
+    if (typeNode.type === 'TSTypeReference' && SOCKET_CLIENT_TYPES.has(getPropertyName(typeNode.typeName))) continue;
     return schemaFromTypeNode(typeNode, dtoSchemas);
   }
   return null;
 }
 
-async function extractNestJsEndpoints(filePath) {
+function getGraphqlOptions(dec) {
+  // { name, description, nullable, type } from @Query(() => User, {...}) / @Args('id', {...}) / @Field(...)
+  const options = {};
+  for (const arg of getDecoratorArgs(dec)) {
+    if (arg.type !== 'ObjectExpression') continue;
+    for (const prop of arg.properties) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (key === 'type') options.type = graphqlTypeFromExpression(getTypeFunctionBody(prop.value));
+      else if (key) options[key] = getSimpleLiteral(prop.value);
+    }
+  }
+  if (options.nullable !== undefined) options.nullable = options.nullable === 'true' || options.nullable === 'items';
+  return options;
+}
+
+function getTypeFunctionBody(node) {
+  if (!node || (node.type !== 'ArrowFunctionExpression' && node.type !== 'FunctionExpression')) return null;
+  if (node.body.type !== 'BlockStatement') return node.body;
+  const ret = node.body.body.find((stmt) => stmt.type === 'ReturnStatement');
+  return ret ? ret.argument : null;
+}
+
+function getGraphqlTypeFromDecorator(dec) {
+  for (const arg of getDecoratorArgs(dec)) {
+    const body = getTypeFunctionBody(arg);
+    if (body) return graphqlTypeFromExpression(body);
+  }
+  return null;
+}
+
+function graphqlTypeFromExpression(node) {
+  // () => User, () => [User], () => GraphQLJSON
+  if (!node) return null;
+  if (node.type === 'ArrayExpression') {
+    const inner = graphqlTypeFromExpression(node.elements[0]);
+    return inner ? { name: inner.name, list: true } : null;
+  }
+  if (node.type === 'Identifier') return { name: node.name, list: false };
+  if (node.type === 'MemberExpression') return { name: getPropertyName(node.property), list: false };
+  return null;
+}
+
+function graphqlTypeFromTypeNode(typeNode) {
+  if (!typeNode) return null;
+  if (typeNode.type === 'TSStringKeyword') return { name: 'String', list: false };
+  // Nest maps a plain TypeScript number to Float unless the decorator says Int
+  if (typeNode.type === 'TSNumberKeyword') return { name: 'Float', list: false };
+  if (typeNode.type === 'TSBooleanKeyword') return { name: 'Boolean', list: false };
+  if (typeNode.type === 'TSArrayType') {
+    const inner = graphqlTypeFromTypeNode(typeNode.elementType);
+    return inner ? { name: inner.name, list: true } : null;
+  }
+  if (typeNode.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier') {
+    const name = typeNode.typeName.name;
+    const typeArgs = typeNode.typeParameters ? typeNode.typeParameters.params : [];
+    if (name === 'Promise' && typeArgs.length === 1) return graphqlTypeFromTypeNode(typeArgs[0]);
+    if (name === 'Array' && typeArgs.length === 1) {
+      const inner = graphqlTypeFromTypeNode(typeArgs[0]);
+      return inner ? { name: inner.name, list: true } : null;
+    }
+    if (name === 'Date') return { name: 'DateTime', list: false };
+    return { name, list: false };
+  }
+  return null;
+}
+
+function formatGraphqlType(type, required) {
+  const base = type.list ? `[${type.name}!]` : type.name;
+  return required ? `${base}!` : base;
+}
+
+function schemaForGraphqlType(type, dtoSchemas) {
+  let schema;
+  if (dtoSchemas.has(type.name)) schema = buildSchemaForDto(type.name, dtoSchemas);
+  else if (GRAPHQL_NUMBER_SCALARS.has(type.name)) schema = { type: 'number' };
+  else if (type.name === 'Boolean') schema = { type: 'boolean' };
+  else schema = { type: 'string' };
+  return type.list ? { type: 'array', items: schema } : schema;
+}
+
+function getGraphqlArgs(paramList, dtoSchemas) {
+  // @Args('id') id: string / @Args('input') input: CreateUserInput / @Args() args: PaginationArgs
+  const args = [];
+  for (const paramNode of paramList || []) {
+    const target = getParamDecoratorTarget(paramNode);
+    const dec = target && (target.decorators || []).find((d) => getDecoratorName(d) === 'Args');
+    if (!dec) continue;
+    const options = getGraphqlOptions(dec);
+    const typeNode = target.typeAnnotation ? target.typeAnnotation.typeAnnotation : null;
+    const name = getStringArg(dec) || options.name;
+
+    if (!name) {
+      // An @ArgsType class spreads its fields into top-level arguments
+      const typeName = typeNode && typeNode.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier'
+        ? typeNode.typeName.name
+        : null;
+      const dto = typeName ? dtoSchemas.get(typeName) : null;
+      for (const prop of dto ? dto.props : []) {
+        const type = prop.graphqlType || graphqlTypeFromTypeNode(prop.typeNode) || { name: 'String', list: false };
+        args.push({ name: prop.name, type, required: !prop.optional, schema: schemaForGraphqlType(type, dtoSchemas) });
+      }
+      continue;
+    }
+
+    const type = options.type || graphqlTypeFromTypeNode(typeNode) || { name: 'String', list: false };
+    const required = !options.nullable && target.optional !== true && paramNode.type !== 'AssignmentPattern';
+    args.push({ name, type, required, schema: schemaForGraphqlType(type, dtoSchemas) });
+  }
+  return args;
+}
+
+function buildSelectionSet(typeName, dtoSchemas, depth = 0) {
+  // Scalar fields of the returned @ObjectType, plus one level of nested objects
+  if (GRAPHQL_SCALARS.has(typeName)) return null;
+  const dto = dtoSchemas.get(typeName);
+  if (!dto) return ['__typename'];
+  const fields = [];
+  for (const prop of dto.props) {
+    const type = prop.graphqlType || graphqlTypeFromTypeNode(prop.typeNode);
+    if (!type || !dtoSchemas.has(type.name)) {
+      fields.push(prop.name);
+      continue;
+    }
+    if (depth > 0 || type.name === typeName) continue;
+    const nested = buildSelectionSet(type.name, dtoSchemas, depth + 1);
+    if (nested) fields.push(`${prop.name} {`, ...nested.map((line) => `  ${line}`), '}');
+  }
+  return fields.length ? fields : ['__typename'];
+}
+
+function parseGraphqlOperation(dec, memberNode) {
+  const operationType = GRAPHQL_OPERATION_DECORATORS[getDecoratorName(dec)];
+  const options = getGraphqlOptions(dec);
+  const returnTypeNode = memberNode.returnType ? memberNode.returnType.typeAnnotation : null;
+  return {
+    operationType,
+    fieldName: getStringArg(dec) || options.name || getMethodName(memberNode),
+    description: options.description || null,
+    returnType: getGraphqlTypeFromDecorator(dec) || graphqlTypeFromTypeNode(returnTypeNode)
+  };
+}
+
+function buildGraphqlOperation(operation, paramList, dtoSchemas) {
+  // query User($id: ID!) { user(id: $id) { id name } } plus a schema for its variables
+  const { operationType, fieldName, returnType } = operation;
+  const args = getGraphqlArgs(paramList, dtoSchemas);
+  const operationName = fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+  const variableDefs = args.map((arg) => `$${arg.name}: ${formatGraphqlType(arg.type, arg.required)}`);
+  const fieldArgs = args.map((arg) => `${arg.name}: $${arg.name}`);
+  const selection = returnType ? buildSelectionSet(returnType.name, dtoSchemas) : null;
+
+  const lines = [`${operationType} ${operationName}${variableDefs.length ? `(${variableDefs.join(', ')})` : ''} {`];
+  const field = `  ${fieldName}${fieldArgs.length ? `(${fieldArgs.join(', ')})` : ''}`;
+  if (selection) {
+    lines.push(`${field} {`, ...selection.map((line) => `    ${line}`), '  }');
+  } else {
+    lines.push(field);
+  }
+  lines.push('}');
+
+  const variables = { type: 'object', properties: {} };
+  for (const arg of args) variables.properties[arg.name] = arg.schema;
+  const required = args.filter((arg) => arg.required).map((arg) => arg.name);
+  if (required.length) variables.required = required;
+
+  return { operationType, operationName, query: lines.join('\n'), variables };
+}
+
+function parseGatewayMeta(dec, transport) {
+  // @WebSocketGateway(), @WebSocketGateway(81, { namespace: 'chat' }), @WebSocketGateway({ namespace, path })
+  const args = getDecoratorArgs(dec);
+  const port = args[0] && args[0].type === 'NumericLiteral' ? args[0].value : undefined;
+  const options = args.find((arg) => arg.type === 'ObjectExpression');
+  const gateway = { namespace: '/', port, path: transport === 'ws' ? '/' : '/socket.io', transport };
+  for (const prop of options ? options.properties : []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    const key = getPropertyName(prop.key);
+    const value = getSimpleLiteral(prop.value);
+    if (value === null) continue;
+    if (key === 'namespace') gateway.namespace = normalizePath(value);
+    if (key === 'path') gateway.path = normalizePath(value);
+    if (key === 'port') gateway.port = Number(value);
+  }
+  return gateway;
+}
+
+function detectWebSocketTransport(ast) {
+  // Gateways speak Socket.IO unless the file is written against the plain `ws` adapter
+  let transport = 'socket.io';
+  traverse(ast, {
+    ImportDeclaration(path) {
+      if (WS_ADAPTER_SOURCES.has(path.node.source.value)) transport = 'ws';
+    }
+  });
+  return transport;
+}
+
+function detectDecoratorFlavor(ast) {
+  let flavor = 'nestjs';
+  traverse(ast, {
+    ImportDeclaration(path) {
+      const source = path.node.source.value;
+      if (DECORATOR_FLAVOR_SOURCES.has(source)) flavor = source;
+    }
+  });
+  return flavor;
+}
+
+async function extractNestJsEndpoints(filePath, options = {}) {
   const ast = await parseFile(filePath);
+  const graphqlPath = normalizePath(options.graphqlEndpoint || DEFAULT_GRAPHQL_ENDPOINT);
   const endpoints = [];
   const dtoSchemas = await collectDtoSchemas(ast, filePath);
+  const flavor = detectDecoratorFlavor(ast);
+  const wsTransport = detectWebSocketTransport(ast);
+  const controllerDecorators = CONTROLLER_DECORATORS[flavor];
 
   traverse(ast, {
     ClassDeclaration(path) {
@@ -475,12 +812,16 @@ async function extractNestJsEndpoints(filePath) {
       let basePath = '';
       let tags = [];
       let classAuth = false;
+      let isResolver = false;
+      let gateway = null;
       for (const dec of decorators) {
         const name = getDecoratorName(dec);
-        if (name === 'Controller') {
+        if (name === 'Resolver') isResolver = true;
+        if (name === 'WebSocketGateway') gateway = parseGatewayMeta(dec, wsTransport);
+        if (controllerDecorators.has(name)) {
           basePath = getStringArg(dec);
         }
-        if (name === 'ApiTags') {
+        if (TAG_DECORATORS.has(name)) {
           tags = tags.concat(getTagsFromDecorator(dec));
         }
         if (hasAuthDecorator(dec)) classAuth = true;
@@ -501,9 +842,13 @@ async function extractNestJsEndpoints(filePath) {
         let httpMethod = null;
         let methodPath = '';
         let rpcMeta = null;
+        let graphqlOperation = null;
         let summary = null;
         let description = null;
         let methodAuth = false;
+        let noAuth = false;
+        let hidden = false;
+        let methodTags = [];
         const decoratorNames = [];
 
         for (const dec of methodDecorators) {
@@ -513,32 +858,62 @@ async function extractNestJsEndpoints(filePath) {
             httpMethod = HTTP_DECORATORS[name];
             methodPath = getStringArg(dec);
           }
-          const maybeRpc = parseRpcMeta(dec, handlerName, className);
+          const maybeRpc = parseRpcMeta(dec, handlerName, className, gateway);
           if (maybeRpc) rpcMeta = maybeRpc;
-          if (name === 'ApiOperation') {
+          if (isResolver && GRAPHQL_OPERATION_DECORATORS[name]) graphqlOperation = parseGraphqlOperation(dec, memberNode);
+          if (OPERATION_DECORATORS.has(name)) {
             const apiOp = getApiOperationMeta(dec);
             summary = apiOp.summary || summary;
             description = apiOp.description || description;
           }
           if (hasAuthDecorator(dec)) methodAuth = true;
+          if (TAG_DECORATORS.has(name)) methodTags = methodTags.concat(getTagsFromDecorator(dec));
+          if (name === 'NoSecurity') noAuth = true;
+          if (name === 'Hidden') hidden = true;
         }
 
-        if (!httpMethod && !rpcMeta) continue;
+        if ((!httpMethod && !rpcMeta && !graphqlOperation) || hidden) continue;
+
+        const paramList = isMethod ? memberNode.params || [] : memberNode.value.params || [];
+        if (graphqlOperation) {
+          const graphql = buildGraphqlOperation(graphqlOperation, paramList, dtoSchemas);
+          const { operationType, fieldName } = graphqlOperation;
+          endpoints.push({
+            method: 'POST',
+            path: graphqlPath,
+            summary: summary || undefined,
+            description: description || graphqlOperation.description || `GraphQL ${operationType} ${fieldName}`,
+            tags: tags.length || methodTags.length ? Array.from(new Set([...tags, ...methodTags])) : undefined,
+            decorators: decoratorNames,
+            protocol: 'graphql',
+            graphql,
+            auth: noAuth ? false : classAuth || methodAuth || undefined,
+            parameters: {},
+            filePath,
+            // Every operation shares the endpoint URL, so the operation is part of the key
+            key: `${toKey('POST', graphqlPath)} ${operationType} ${fieldName}`
+          });
+          continue;
+        }
 
         const fullPath = httpMethod
           ? normalizePath(joinPaths(basePath, methodPath))
           : rpcMeta.path;
         const params = [];
         const query = [];
+        const bodyProps = [];
         let bodySchema = null;
 
-        const paramList = isMethod ? memberNode.params || [] : memberNode.value.params || [];
         for (const paramNode of paramList) {
-          const res = getParamDecorators(paramNode, dtoSchemas);
+          const res = getParamDecorators(paramNode, dtoSchemas, flavor);
           params.push(...res.params);
           query.push(...res.query);
+          bodyProps.push(...res.bodyProps);
           if (res.body) bodySchema = res.body;
         }
+        if (!bodySchema && bodyProps.length) {
+          bodySchema = buildBodyFromProps(bodyProps);
+        }
         if (!bodySchema && rpcMeta) {
           bodySchema = getRpcBodySchema(paramList, dtoSchemas);
         }
@@ -552,11 +927,12 @@ async function extractNestJsEndpoints(filePath) {
           path: fullPath,
           summary: endpointSummary || undefined,
           description: endpointDescription,
-          tags: tags.length ? tags : undefined,
+          tags: tags.length || methodTags.length ? Array.from(new Set([...tags, ...methodTags])) : undefined,
           decorators: decoratorNames,
-          protocol: rpcMeta ? (rpcMeta.kind.startsWith('grpc') ? 'grpc' : 'rpc') : undefined,
+          protocol: rpcMeta ? rpcProtocol(rpcMeta.kind) : undefined,
           rpcKind: rpcMeta ? rpcMeta.kind : undefined,
-          auth: classAuth || methodAuth || undefined,
+          socket: rpcMeta ? rpcMeta.socket : undefined,
+          auth: noAuth ? false : classAuth || methodAuth || undefined,
           parameters: {
             path: httpMethod && params.length ? params : undefined,
             query: httpMethod && query.length ? query : undefined,
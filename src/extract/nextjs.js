@@ -0,0 +1,69 @@
+const path = require('path');
+const { toKey } = require('../utils');
+const {
+  toRouteSegment,
+  isGroupSegment,
+  splitFilePath,
+  findRouteRoot,
+  toRoutePath,
+  parseRouteModule
+} = require('./file-routes');
+
+const ROUTE_HANDLER_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+const ROUTE_FILE_PATTERN = /^route\.(t|j)sx?$/i;
+
+function routePathFromFile(filePath) {
+  const parts = splitFilePath(filePath);
+  // Prefer src/app so a folder named "app" inside the route tree isn't mistaken for the root
+  let appIndex = findRouteRoot(parts, 'src', 'app');
+  if (appIndex === -1) appIndex = parts.lastIndexOf('app');
+  if (appIndex === -1) return null;
+
+  const segments = [];
+  for (const part of parts.slice(appIndex + 1, -1)) {
+    // Private folders opt out of routing entirely
+    if (part.startsWith('_')) return null;
+    // Route groups, parallel-route slots and intercepting routes don't add URL segments
+    if (isGroupSegment(part) || part.startsWith('@') || /^\(\.+\)/.test(part)) continue;
+    segments.push(toRouteSegment(part));
+  }
+  return toRoutePath(segments);
+}
+
+function isNextRouteFile(filePath) {
+  return ROUTE_FILE_PATTERN.test(path.basename(filePath)) && routePathFromFile(filePath) !== null;
+}
+
+async function extractNextJsRouteFile(filePath) {
+  const routePath = routePathFromFile(filePath);
+  if (routePath === null) return [];
+
+  const { handlers } = await parseRouteModule(filePath, ROUTE_HANDLER_METHODS);
+  const endpoints = handlers.map((handler) => ({
+    method: handler.name,
+    path: routePath,
+    description: `${handler.name} ${routePath}`,
+    middleware: handler.middleware,
+    parameters: handler.parameters,
+    filePath,
+    key: toKey(handler.name, routePath)
+  }));
+
+  const order = Array.from(ROUTE_HANDLER_METHODS);
+  return endpoints.sort((a, b) => order.indexOf(a.method) - order.indexOf(b.method));
+}
+
+async function extractNextJsEndpoints(files) {
+  const results = [];
+  for (const file of files) {
+    if (!isNextRouteFile(file)) continue;
+    try {
+      results.push(...await extractNextJsRouteFile(file));
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+  return results;
+}
+
+module.exports = { extractNextJsEndpoints, routePathFromFile };
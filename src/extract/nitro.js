@@ -0,0 +1,213 @@
+const traverse = require('@babel/traverse').default;
+const { parseFile } = require('./ast');
+const { toKey } = require('../utils');
+const { resolveZodSchema } = require('./zod');
+const { middlewareNameFromNode } = require('./express');
+const { toRouteSegment, isGroupSegment, splitFilePath, findRouteRoot, toRoutePath } = require('./file-routes');
+
+const NITRO_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'head', 'options']);
+const NITRO_ENV_SUFFIXES = new Set(['dev', 'prod', 'prerender']);
+const PARSE_METHODS = new Set(['parse', 'safeParse', 'parseAsync', 'safeParseAsync']);
+const BODY_READERS = new Set(['readBody', 'readRawBody', 'readFormData', 'readMultipartFormData', 'readValidatedBody']);
+const HANDLER_FACTORIES = new Set(['defineEventHandler', 'eventHandler', 'defineCachedEventHandler', 'cachedEventHandler']);
+const SCRIPT_EXTENSION = /\.(t|j)sx?$|\.m?js$/i;
+// requireUserSession, verifyToken, auth, authorize... but not getAuthorName or requirements
+const AUTH_GUARD_PATTERN = /^(require|verify|ensure)[A-Z_]|^(auth|authenticate|authorize)([A-Z_]|$)/;
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function getCalleeName(node) {
+  if (!node || node.type !== 'CallExpression') return null;
+  if (node.callee.type === 'Identifier') return node.callee.name;
+  if (node.callee.type === 'MemberExpression') return getPropertyName(node.callee.property);
+  return null;
+}
+
+function getObjectProperty(node, keyName) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  for (const prop of node.properties || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    if (getPropertyName(prop.key) === keyName) return prop.value;
+  }
+  return null;
+}
+
+function parseNitroFile(filePath) {
+  // server/api/users/[id].get.ts -> { method: 'GET', path: '/api/users/:id' }
+  const parts = splitFilePath(filePath);
+  const rootIndex = Math.max(findRouteRoot(parts, 'server', 'api'), findRouteRoot(parts, 'server', 'routes'));
+  if (rootIndex === -1) return null;
+
+  const filename = parts[parts.length - 1];
+  if (!SCRIPT_EXTENSION.test(filename) || /\.d\.ts$/i.test(filename)) return null;
+  const stemParts = filename.replace(SCRIPT_EXTENSION, '').split('.');
+  if (stemParts.length > 1 && NITRO_ENV_SUFFIXES.has(stemParts[stemParts.length - 1].toLowerCase())) stemParts.pop();
+  let method = null;
+  if (stemParts.length > 1 && NITRO_METHODS.has(stemParts[stemParts.length - 1].toLowerCase())) {
+    method = stemParts.pop().toUpperCase();
+  }
+  const stem = stemParts.join('.');
+
+  // server/api keeps its /api prefix, server/routes is mounted at the root
+  const segments = parts[rootIndex] === 'api' ? ['api'] : [];
+  for (const part of [...parts.slice(rootIndex + 1, -1), stem]) {
+    if (isGroupSegment(part) || part === 'index') continue;
+    segments.push(toRouteSegment(part));
+  }
+  return { method, path: toRoutePath(segments) };
+}
+
+function unwrapAwait(node) {
+  return node && node.type === 'AwaitExpression' ? node.argument : node;
+}
+
+function resolveValidator(node, schemaDefs) {
+  // schema.parse / (body) => schema.parse(body) / z.object({...}).parse / schema
+  if (!node) return null;
+  let target = node;
+  if (target.type === 'ArrowFunctionExpression' || target.type === 'FunctionExpression') {
+    let call = target.body;
+    if (call && call.type === 'BlockStatement') {
+      const ret = call.body.find((stmt) => stmt.type === 'ReturnStatement');
+      call = ret ? ret.argument : null;
+    }
+    call = unwrapAwait(call);
+    if (!call || call.type !== 'CallExpression') return null;
+    target = call.callee;
+  }
+  if (target.type === 'MemberExpression' && PARSE_METHODS.has(getPropertyName(target.property))) {
+    target = target.object;
+  }
+  const resolved = resolveZodSchema(target, schemaDefs);
+  return resolved && resolved.type === 'object' && resolved.properties ? resolved : null;
+}
+
+function schemaToParamList(schema) {
+  if (!schema || !schema.properties) return [];
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([key, val]) => ({
+    name: key,
+    key,
+    required: required.has(key),
+    type: (val && val.type) || 'string',
+    example: val ? val.example : undefined
+  }));
+}
+
+function getLiteralMethods(node) {
+  // assertMethod(event, 'POST') / isMethod(event, ['GET', 'HEAD'])
+  const list = node && node.type === 'ArrayExpression' ? node.elements : [node];
+  return (list || [])
+    .filter((el) => el && el.type === 'StringLiteral')
+    .map((el) => el.value.toUpperCase());
+}
+
+async function extractNitroRouteFile(filePath, route) {
+  const ast = await parseFile(filePath);
+  const schemaDefs = new Map();
+  const parameters = {};
+  const middleware = [];
+  const assertedMethods = new Set();
+  const query = new Map();
+  let readsBody = false;
+
+  traverse(ast, {
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'Identifier' && node.init &&
+        (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression')) {
+        schemaDefs.set(node.id.name, node.init);
+      }
+    }
+  });
+
+  traverse(ast, {
+    VariableDeclarator(p) {
+      // const { page, q } = getQuery(event)
+      const node = p.node;
+      if (node.id.type !== 'ObjectPattern' || getCalleeName(unwrapAwait(node.init)) !== 'getQuery') return;
+      for (const prop of node.id.properties || []) {
+        if (prop.type !== 'ObjectProperty') continue;
+        const key = getPropertyName(prop.key);
+        if (key && !query.has(key)) query.set(key, { name: key, key, required: false, type: 'string' });
+      }
+    },
+
+    CallExpression(p) {
+      const node = p.node;
+      const name = getCalleeName(node);
+      const args = node.arguments || [];
+
+      if (HANDLER_FACTORIES.has(name)) {
+        // defineEventHandler({ onRequest: [requireAuth], handler })
+        const hooks = getObjectProperty(args[0], 'onRequest');
+        const list = hooks && hooks.type === 'ArrayExpression' ? hooks.elements : [hooks];
+        for (const hook of list) {
+          const hookName = hook ? middlewareNameFromNode(hook) : null;
+          if (hookName) middleware.push(hookName);
+        }
+        return;
+      }
+
+      if (name === 'assertMethod' || name === 'isMethod') {
+        for (const method of getLiteralMethods(args[1])) assertedMethods.add(method);
+        return;
+      }
+
+      if (BODY_READERS.has(name)) readsBody = true;
+
+      if (name === 'readValidatedBody') {
+        const body = resolveValidator(args[1], schemaDefs);
+        if (body) parameters.body = body;
+        return;
+      }
+
+      if (name === 'getValidatedQuery') {
+        for (const param of schemaToParamList(resolveValidator(args[1], schemaDefs))) query.set(param.key, param);
+        return;
+      }
+
+      // requireUserSession(event) / requireAuth(event) guard the handler from inside
+      if (node.callee.type === 'Identifier' && AUTH_GUARD_PATTERN.test(name)) {
+        middleware.push(name);
+      }
+    }
+  });
+
+  if (query.size) parameters.query = Array.from(query.values());
+
+  // Files without a .get/.post suffix answer every method; guess from what the handler does
+  let methods = route.method ? [route.method] : Array.from(assertedMethods);
+  if (!methods.length) methods = [readsBody ? 'POST' : 'GET'];
+
+  return methods.map((method) => ({
+    method,
+    path: route.path,
+    description: `${method} ${route.path}`,
+    middleware: Array.from(new Set(middleware)),
+    parameters,
+    filePath,
+    key: toKey(method, route.path)
+  }));
+}
+
+async function extractNitroEndpoints(files) {
+  const results = [];
+  for (const file of files) {
+    const route = parseNitroFile(file);
+    if (!route) continue;
+    try {
+      results.push(...await extractNitroRouteFile(file, route));
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+  return results;
+}
+
+module.exports = { extractNitroEndpoints };
@@ -0,0 +1,228 @@
+const path = require('path');
+const { toKey, HTTP_METHODS } = require('../utils');
+const {
+  splitFilePath,
+  findRouteRoot,
+  toRoutePath,
+  collectHandlerParameters,
+  parseRouteModule
+} = require('./file-routes');
+
+const REMIX_EXPORTS = new Set(['loader', 'action']);
+const ROUTE_MODULE_PATTERN = /\.(t|j)sx?$/i;
+const FOLDER_ROUTE_FILES = new Set(['route', 'index']);
+// requireUserId, authenticator.isAuthenticated, verifySession... but not getAuthor or requirements
+const AUTH_GUARD_PATTERN = /^(require|verify|ensure)[A-Z_]|^(auth|authenticate|authorize|isAuthenticated)([A-Z_]|$)/;
+const ACTION_METHODS = new Set(HTTP_METHODS.filter((method) => method !== 'get').map((m) => m.toUpperCase()));
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function splitFlatSegments(name) {
+  // Dots separate URL segments, except inside [escaped.sections]
+  const segments = [];
+  let current = '';
+  let escaped = false;
+  for (const ch of name) {
+    if (ch === '[') escaped = true;
+    if (ch === ']') escaped = false;
+    if (ch === '.' && !escaped) {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  segments.push(current);
+  return segments;
+}
+
+function toRemixSegment(segment) {
+  // ($lang) is optional, $id is dynamic, a bare $ is the splat, users_ opts out of layout nesting
+  let out = segment.replace(/^\((.*)\)$/, '$1').replace(/_$/, '');
+  if (out === '$') return ':splat';
+  if (out.startsWith('$')) return `:${out.slice(1).replace(/[^A-Za-z0-9_]/g, '_')}`;
+  out = out.replace(/\[([^\]]*)\]/g, '$1');
+  return out;
+}
+
+function routePathFromFile(filePath) {
+  // app/routes/api.users.$id.ts or app/routes/api.users.$id/route.ts -> /api/users/:id
+  const parts = splitFilePath(filePath);
+  const rootIndex = findRouteRoot(parts, 'app', 'routes');
+  if (rootIndex === -1) return null;
+
+  const folders = parts.slice(rootIndex + 1, -1);
+  const stem = parts[parts.length - 1].replace(ROUTE_MODULE_PATTERN, '');
+  const names = folders.length && FOLDER_ROUTE_FILES.has(stem) ? folders : [...folders, stem];
+
+  const segments = [];
+  for (const name of names) {
+    for (const segment of splitFlatSegments(name)) {
+      // _index routes and _pathless layouts don't add URL segments
+      if (!segment || segment === 'index' || segment.startsWith('_')) continue;
+      segments.push(toRemixSegment(segment));
+    }
+  }
+  return toRoutePath(segments);
+}
+
+function isRequestMethod(node) {
+  return !!node && node.type === 'MemberExpression' && getPropertyName(node.property) === 'method';
+}
+
+function getComparedMethods(testPath) {
+  // request.method === 'PUT' / 'PATCH' == request.method, anywhere inside a condition
+  const methods = [];
+  function add(node) {
+    if (!node || node.type !== 'StringLiteral') return;
+    const method = node.value.toUpperCase();
+    if (ACTION_METHODS.has(method) && !methods.includes(method)) methods.push(method);
+  }
+  function visit(node) {
+    if (!node || node.type !== 'BinaryExpression') return;
+    if (node.operator !== '===' && node.operator !== '==') return;
+    if (isRequestMethod(node.left)) add(node.right);
+    if (isRequestMethod(node.right)) add(node.left);
+  }
+  visit(testPath.node);
+  testPath.traverse({ BinaryExpression(p) { visit(p.node); } });
+  return methods;
+}
+
+function collectActionBranches(handlerPath) {
+  // One action serves every non-GET method; branches on request.method say which ones and what each reads
+  const branches = new Map(); // method -> paths of the code that handles it
+  function add(method, branchPath) {
+    if (!branches.has(method)) branches.set(method, []);
+    if (branchPath) branches.get(method).push(branchPath);
+  }
+
+  handlerPath.traverse({
+    IfStatement(p) {
+      for (const method of getComparedMethods(p.get('test'))) add(method, p.get('consequent'));
+    },
+
+    SwitchStatement(p) {
+      if (!isRequestMethod(p.node.discriminant)) return;
+      // case 'PUT': case 'PATCH': { ... } share the body of the last case
+      let pending = [];
+      for (const casePath of p.get('cases')) {
+        const test = casePath.node.test;
+        if (test && test.type === 'StringLiteral' && ACTION_METHODS.has(test.value.toUpperCase())) {
+          pending.push(test.value.toUpperCase());
+        }
+        if (!casePath.node.consequent.length) continue;
+        for (const method of pending) add(method, casePath);
+        pending = [];
+      }
+    },
+
+    BinaryExpression(p) {
+      // Comparisons outside an if/switch (early returns, ternaries) still name a method
+      const inIfTest = p.findParent((parent) => parent.isIfStatement() &&
+        p.node.start >= parent.node.test.start && p.node.end <= parent.node.test.end);
+      if (inIfTest) return;
+      const { left, right, operator } = p.node;
+      if (operator !== '===' && operator !== '==') return;
+      const literal = isRequestMethod(left) ? right : isRequestMethod(right) ? left : null;
+      if (literal && literal.type === 'StringLiteral' && ACTION_METHODS.has(literal.value.toUpperCase())) {
+        add(literal.value.toUpperCase(), null);
+      }
+    }
+  });
+
+  return branches;
+}
+
+function mergeParameters(shared, own) {
+  const out = { ...shared, ...own };
+  if (!own.body && shared.body) out.body = shared.body;
+  const query = new Map();
+  for (const param of [...(shared.query || []), ...(own.query || [])]) query.set(param.key, param);
+  if (query.size) out.query = Array.from(query.values());
+  return out;
+}
+
+function actionParametersByMethod(handlerPath, schemaDefs) {
+  const branches = collectActionBranches(handlerPath);
+  if (!branches.size) return new Map([['POST', collectHandlerParameters(handlerPath, schemaDefs)]]);
+
+  const allBranches = Array.from(branches.values()).flat();
+  const isInside = (p, branchPaths) => branchPaths.some((branchPath) => p === branchPath || p.isDescendant(branchPath));
+  // Bodies parsed before the branching apply to every method; a branch's own parse only to its methods
+  const shared = collectHandlerParameters(handlerPath, schemaDefs, (p) => !isInside(p, allBranches));
+
+  const result = new Map();
+  for (const [method, branchPaths] of branches.entries()) {
+    const own = branchPaths.length
+      ? collectHandlerParameters(handlerPath, schemaDefs, (p) => isInside(p, branchPaths))
+      : {};
+    result.set(method, mergeParameters(shared, own));
+  }
+  return result;
+}
+
+function collectGuardCalls(handlerPath) {
+  // await requireUserId(request) / await authenticator.isAuthenticated(request)
+  const names = [];
+  handlerPath.traverse({
+    CallExpression(p) {
+      const callee = p.node.callee;
+      const name = callee.type === 'Identifier' ? callee.name : getPropertyName(callee.property);
+      if (name && AUTH_GUARD_PATTERN.test(name)) names.push(name);
+    }
+  });
+  return names;
+}
+
+async function extractRemixRouteFile(filePath, routePath) {
+  const { hasDefaultExport, handlers, schemaDefs } = await parseRouteModule(filePath, REMIX_EXPORTS);
+  // Only resource routes (no UI component) are API endpoints
+  if (hasDefaultExport) return [];
+
+  const endpoints = [];
+  for (const handler of handlers) {
+    let parametersByMethod = new Map([['GET', handler.parameters]]);
+    if (handler.name === 'action') {
+      parametersByMethod = handler.handlerPath
+        ? actionParametersByMethod(handler.handlerPath, schemaDefs)
+        : new Map([['POST', handler.parameters]]);
+    }
+    const guards = handler.handlerPath ? collectGuardCalls(handler.handlerPath) : [];
+    const middleware = Array.from(new Set([...handler.middleware, ...guards]));
+    for (const [method, parameters] of parametersByMethod.entries()) {
+      endpoints.push({
+        method,
+        path: routePath,
+        description: `${method} ${routePath}`,
+        middleware,
+        parameters,
+        filePath,
+        key: toKey(method, routePath)
+      });
+    }
+  }
+  return endpoints;
+}
+
+async function extractRemixEndpoints(files) {
+  const results = [];
+  for (const file of files) {
+    if (!ROUTE_MODULE_PATTERN.test(path.basename(file))) continue;
+    const routePath = routePathFromFile(file);
+    if (routePath === null) continue;
+    try {
+      results.push(...await extractRemixRouteFile(file, routePath));
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+  return results;
+}
+
+module.exports = { extractRemixEndpoints };
@@ -0,0 +1,60 @@
+const path = require('path');
+const { toKey } = require('../utils');
+const {
+  toRouteSegment,
+  isGroupSegment,
+  splitFilePath,
+  findRouteRoot,
+  toRoutePath,
+  parseRouteModule
+} = require('./file-routes');
+
+const SVELTEKIT_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+const SERVER_FILE_PATTERN = /^\+server\.(t|j)s$/i;
+
+function routePathFromFile(filePath) {
+  // src/routes/users/[id=integer]/+server.ts -> /users/:id
+  const parts = splitFilePath(filePath);
+  const rootIndex = findRouteRoot(parts, 'src', 'routes');
+  if (rootIndex === -1) return null;
+
+  const segments = [];
+  for (const part of parts.slice(rootIndex + 1, -1)) {
+    if (isGroupSegment(part)) continue;
+    segments.push(toRouteSegment(part));
+  }
+  return toRoutePath(segments);
+}
+
+async function extractSvelteKitServerFile(filePath, routePath) {
+  const { handlers } = await parseRouteModule(filePath, SVELTEKIT_METHODS);
+  const endpoints = handlers.map((handler) => ({
+    method: handler.name,
+    path: routePath,
+    description: `${handler.name} ${routePath}`,
+    middleware: handler.middleware,
+    parameters: handler.parameters,
+    filePath,
+    key: toKey(handler.name, routePath)
+  }));
+
+  const order = Array.from(SVELTEKIT_METHODS);
+  return endpoints.sort((a, b) => order.indexOf(a.method) - order.indexOf(b.method));
+}
+
+async function extractSvelteKitEndpoints(files) {
+  const results = [];
+  for (const file of files) {
+    if (!SERVER_FILE_PATTERN.test(path.basename(file))) continue;
+    const routePath = routePathFromFile(file);
+    if (routePath === null) continue;
+    try {
+      results.push(...await extractSvelteKitServerFile(file, routePath));
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+  return results;
+}
+
+module.exports = { extractSvelteKitEndpoints };
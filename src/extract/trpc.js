@@ -0,0 +1,294 @@
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+const { parseFile } = require('./ast');
+const { resolveImportFile } = require('./imports');
+const { normalizePath, toKey } = require('../utils');
+const { resolveZodSchema } = require('./zod');
+const { middlewareNameFromNode } = require('./express');
+
+const TRPC_PREFIX = '/trpc';
+const ROUTER_FACTORIES = new Set(['router', 'createTRPCRouter', 'createRouter']);
+const MERGE_FACTORIES = new Set(['mergeRouters']);
+const PROCEDURE_TYPES = { query: 'GET', mutation: 'POST' };
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function isRequireCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral';
+}
+
+function getCalleeName(node) {
+  // router(...) / t.router(...) / t.mergeRouters(...)
+  if (!node || node.type !== 'CallExpression') return null;
+  if (node.callee.type === 'Identifier') return node.callee.name;
+  if (node.callee.type === 'MemberExpression') return getPropertyName(node.callee.property);
+  return null;
+}
+
+function isRouterCall(node) {
+  const name = getCalleeName(node);
+  if (!name || !ROUTER_FACTORIES.has(name)) return false;
+  const arg = node.arguments && node.arguments[0];
+  return !!arg && arg.type === 'ObjectExpression';
+}
+
+function isMergeCall(node) {
+  const name = getCalleeName(node);
+  return !!name && MERGE_FACTORIES.has(name);
+}
+
+function parseProcedure(node, schemaDefs) {
+  // publicProcedure.use(isAuthed).input(z.object(...)).query(...)
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return null;
+  const type = getPropertyName(node.callee.property);
+  if (!PROCEDURE_TYPES[type]) return null;
+
+  const middleware = [];
+  const inputs = [];
+  let current = node.callee.object;
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    const step = getPropertyName(current.callee.property);
+    if (step === 'input' && current.arguments[0]) inputs.unshift(current.arguments[0]);
+    if (step === 'use') {
+      for (const arg of current.arguments || []) {
+        const name = middlewareNameFromNode(arg);
+        if (name) middleware.unshift(name);
+      }
+    }
+    current = current.callee.object;
+  }
+
+  // The base procedure's name (protectedProcedure, adminProcedure) says who may call it
+  if (current && current.type === 'Identifier') middleware.unshift(current.name);
+
+  let input = null;
+  for (const inputNode of inputs) {
+    const resolved = resolveZodSchema(inputNode, schemaDefs);
+    if (!input || !input.properties || !resolved.properties) {
+      input = resolved;
+      continue;
+    }
+    // Chained .input() calls are merged by tRPC
+    input = {
+      ...input,
+      properties: { ...input.properties, ...resolved.properties },
+      required: Array.from(new Set([...(input.required || []), ...(resolved.required || [])]))
+    };
+  }
+
+  return { method: PROCEDURE_TYPES[type], middleware, input };
+}
+
+async function parseTrpcFile(filePath) {
+  const ast = await parseFile(filePath);
+  const baseDir = path.dirname(filePath);
+  const defs = new Map();
+  const schemaDefs = new Map();
+  const exports = { default: null, named: new Map() };
+  const imports = new Map();
+
+  function registerImport(localName, source, importName) {
+    if (!source || !source.startsWith('.')) return;
+    const resolved = resolveImportFile(baseDir, source);
+    if (!resolved) return;
+    imports.set(localName, { sourceFile: resolved, importName });
+  }
+
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const source = p.node.source.value;
+      for (const spec of p.node.specifiers || []) {
+        if (spec.type === 'ImportDefaultSpecifier') registerImport(spec.local.name, source, 'default');
+        if (spec.type === 'ImportSpecifier') {
+          registerImport(spec.local.name, source, getPropertyName(spec.imported));
+        }
+      }
+    },
+
+    VariableDeclarator(p) {
+      const node = p.node;
+      if (node.id.type === 'ObjectPattern' && isRequireCall(node.init)) {
+        for (const prop of node.id.properties || []) {
+          if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+          registerImport(prop.value.name, node.init.arguments[0].value, getPropertyName(prop.key));
+        }
+        return;
+      }
+      if (node.id.type !== 'Identifier' || !node.init) return;
+      if (isRequireCall(node.init)) {
+        registerImport(node.id.name, node.init.arguments[0].value, 'default');
+        return;
+      }
+      if (node.init.type === 'CallExpression' || node.init.type === 'MemberExpression') {
+        defs.set(node.id.name, node.init);
+        schemaDefs.set(node.id.name, node.init);
+      }
+    },
+
+    ExportDefaultDeclaration(p) {
+      const decl = p.node.declaration;
+      if (!decl) return;
+      if (decl.type === 'Identifier') {
+        exports.default = decl.name;
+      } else if (isRouterCall(decl) || isMergeCall(decl)) {
+        defs.set('default', decl);
+        exports.default = 'default';
+      }
+    },
+
+    ExportNamedDeclaration(p) {
+      const node = p.node;
+      if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+        for (const decl of node.declaration.declarations) {
+          if (decl.id.type === 'Identifier') exports.named.set(decl.id.name, decl.id.name);
+        }
+      }
+      for (const spec of node.specifiers || []) {
+        if (spec.type === 'ExportSpecifier') {
+          exports.named.set(getPropertyName(spec.exported), spec.local.name);
+        }
+      }
+    },
+
+    AssignmentExpression(p) {
+      const { left, right } = p.node;
+      if (left.type !== 'MemberExpression' || right.type !== 'Identifier') return;
+      const objectName = left.object.type === 'Identifier' ? left.object.name : null;
+      const propName = getPropertyName(left.property);
+
+      if (objectName === 'module' && propName === 'exports') {
+        exports.default = right.name;
+        return;
+      }
+      const isExportsObject = objectName === 'exports' ||
+        (left.object.type === 'MemberExpression' && getPropertyName(left.object.property) === 'exports');
+      if (isExportsObject && propName) exports.named.set(propName, right.name);
+    }
+  });
+
+  return { filePath, defs, schemaDefs, exports, imports };
+}
+
+function resolveIdentifier(name, data, fileDataMap) {
+  if (data.defs.has(name)) return { data, varName: name };
+  if (!data.imports.has(name)) return null;
+  const imp = data.imports.get(name);
+  const target = fileDataMap.get(imp.sourceFile);
+  if (!target) return null;
+  const localName = imp.importName === 'default' ? target.exports.default : target.exports.named.get(imp.importName);
+  if (!localName || !target.defs.has(localName)) return null;
+  return { data: target, varName: localName };
+}
+
+function collectProcedures(node, data, fileDataMap, segments, state, visiting) {
+  if (!node) return;
+
+  if (node.type === 'Identifier') {
+    const resolved = resolveIdentifier(node.name, data, fileDataMap);
+    if (!resolved) return;
+    const id = `${resolved.data.filePath}::${resolved.varName}`;
+    if (visiting.has(id)) return;
+    const target = resolved.data.defs.get(resolved.varName);
+    if (isRouterCall(target) || isMergeCall(target)) state.referenced.add(id);
+    visiting.add(id);
+    collectProcedures(target, resolved.data, fileDataMap, segments, state, visiting);
+    visiting.delete(id);
+    return;
+  }
+
+  if (isMergeCall(node)) {
+    // mergeRouters(a, b) flattens both routers into the same namespace
+    for (const arg of node.arguments || []) {
+      collectProcedures(arg, data, fileDataMap, segments, state, visiting);
+    }
+    return;
+  }
+
+  if (isRouterCall(node)) {
+    for (const prop of node.arguments[0].properties || []) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (!key) continue;
+      collectProcedures(prop.value, data, fileDataMap, [...segments, key], state, visiting);
+    }
+    return;
+  }
+
+  const procedure = parseProcedure(node, data.schemaDefs);
+  if (procedure && segments.length) {
+    state.procedures.push({ ...procedure, segments, filePath: data.filePath });
+  }
+}
+
+function toEndpoint(procedure) {
+  const procedurePath = procedure.segments.join('.');
+  const fullPath = normalizePath(`${TRPC_PREFIX}/${procedurePath}`);
+  const parameters = {};
+
+  if (procedure.input) {
+    if (procedure.method === 'GET') {
+      // Queries take their input as JSON in ?input=
+      parameters.query = [{
+        name: 'input',
+        key: 'input',
+        required: true,
+        type: 'object',
+        schema: procedure.input
+      }];
+    } else {
+      parameters.body = procedure.input;
+    }
+  }
+
+  return {
+    method: procedure.method,
+    path: fullPath,
+    summary: procedurePath,
+    description: `${procedure.method} ${fullPath}`,
+    tags: procedure.segments.length > 1 ? [procedure.segments[0]] : [],
+    middleware: Array.from(new Set(procedure.middleware)),
+    parameters,
+    filePath: procedure.filePath,
+    key: toKey(procedure.method, fullPath)
+  };
+}
+
+async function extractTrpcEndpoints(files) {
+  const fileDataMap = new Map();
+  for (const file of files) {
+    try {
+      const data = await parseTrpcFile(file);
+      fileDataMap.set(file, data);
+    } catch (err) {
+      // Ignore parse errors here; handled at caller level
+    }
+  }
+
+  // Walk every router; the ones nobody else nests are the roots we emit
+  const byRouter = new Map();
+  const referenced = new Set();
+  for (const data of fileDataMap.values()) {
+    for (const [varName, node] of data.defs.entries()) {
+      if (!isRouterCall(node) && !isMergeCall(node)) continue;
+      const id = `${data.filePath}::${varName}`;
+      const state = { procedures: [], referenced };
+      collectProcedures(node, data, fileDataMap, [], state, new Set([id]));
+      byRouter.set(id, state.procedures);
+    }
+  }
+
+  const results = [];
+  for (const [id, procedures] of byRouter.entries()) {
+    if (referenced.has(id)) continue;
+    results.push(...procedures.map(toEndpoint));
+  }
+  return results;
+}
+
+module.exports = { extractTrpcEndpoints };
@@ -0,0 +1,172 @@
+// Elysia re-exports TypeBox as `t`; plain TypeBox projects use `Type`
+const TYPEBOX_NAMESPACES = new Set(['t', 'Type']);
+
+function getPropertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+function literalFromNode(node) {
+  if (!node) return undefined;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    return node.value;
+  }
+  if (node.type === 'NullLiteral') return null;
+  if (node.type === 'ArrayExpression') {
+    return (node.elements || []).map((el) => literalFromNode(el));
+  }
+  if (node.type === 'ObjectExpression') {
+    const out = {};
+    for (const prop of node.properties || []) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const key = getPropertyName(prop.key);
+      if (!key) continue;
+      out[key] = literalFromNode(prop.value);
+    }
+    return out;
+  }
+  return undefined;
+}
+
+function isTypeBoxCall(node) {
+  return !!node && node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    node.callee.object.type === 'Identifier' && TYPEBOX_NAMESPACES.has(node.callee.object.name);
+}
+
+function applyOptions(schema, optionsNode) {
+  // t.String({ format: 'email', default: 'a', examples: ['b'], description: '...' })
+  if (!optionsNode || optionsNode.type !== 'ObjectExpression') return schema;
+  const options = literalFromNode(optionsNode) || {};
+  if (typeof options.format === 'string') schema.format = options.format;
+  if (typeof options.description === 'string') schema.description = options.description;
+  if (options.default !== undefined) schema.example = options.default;
+  if (Array.isArray(options.examples) && options.examples.length) schema.example = options.examples[0];
+  if (options.example !== undefined) schema.example = options.example;
+  return schema;
+}
+
+function resolveObject(node, schemaDefs, depth, seen) {
+  const properties = {};
+  const required = [];
+  for (const prop of (node && node.properties) || []) {
+    if (prop.type !== 'ObjectProperty') continue;
+    const key = getPropertyName(prop.key);
+    if (!key) continue;
+    const propSchema = resolveTypeBoxSchema(prop.value, schemaDefs, depth + 1, seen);
+    properties[key] = propSchema;
+    if (!propSchema.optional) required.push(key);
+  }
+  return { type: 'object', properties, required: required.length ? required : undefined };
+}
+
+function resolveTypeBoxSchema(node, schemaDefs, depth = 0, seen = new Set()) {
+  if (!node || depth > 12) return { type: 'string' };
+
+  if (node.type === 'Identifier') {
+    if (schemaDefs.has(node.name)) {
+      if (seen.has(node.name)) return { type: 'object' };
+      seen.add(node.name);
+      const resolved = resolveTypeBoxSchema(schemaDefs.get(node.name), schemaDefs, depth + 1, seen);
+      seen.delete(node.name);
+      return resolved;
+    }
+    return { type: 'object' };
+  }
+
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+    return resolveTypeBoxSchema(node.expression, schemaDefs, depth + 1, seen);
+  }
+
+  if (!isTypeBoxCall(node)) return { type: 'string' };
+
+  const kind = getPropertyName(node.callee.property);
+  const args = node.arguments || [];
+
+  if (kind === 'String') return applyOptions({ type: 'string' }, args[0]);
+  if (kind === 'Number' || kind === 'Numeric') return applyOptions({ type: 'number' }, args[0]);
+  if (kind === 'Integer') return applyOptions({ type: 'integer' }, args[0]);
+  if (kind === 'Boolean' || kind === 'BooleanString') return applyOptions({ type: 'boolean' }, args[0]);
+  if (kind === 'Date') return applyOptions({ type: 'string', format: 'date-time' }, args[0]);
+  if (kind === 'File' || kind === 'Files') {
+    const file = { type: 'string', format: 'binary' };
+    return kind === 'Files' ? { type: 'array', items: file } : file;
+  }
+
+  if (kind === 'Literal') {
+    const literal = literalFromNode(args[0]);
+    const type = typeof literal === 'number' ? 'number' : typeof literal === 'boolean' ? 'boolean' : 'string';
+    return { type, example: literal, enum: literal !== undefined ? [literal] : undefined };
+  }
+
+  if (kind === 'Union' && args[0] && args[0].type === 'ArrayExpression') {
+    const members = (args[0].elements || []).map((el) => resolveTypeBoxSchema(el, schemaDefs, depth + 1, seen));
+    // A union of literals is how TypeBox spells an enum
+    if (members.length && members.every((m) => Array.isArray(m.enum) && m.enum.length === 1)) {
+      const values = members.map((m) => m.enum[0]);
+      return { type: members[0].type, enum: values, example: values[0] };
+    }
+    return members[0] || { type: 'string' };
+  }
+
+  if (kind === 'Enum') {
+    const values = Object.values(literalFromNode(args[0]) || {}).filter((v) => v !== undefined);
+    return values.length ? { type: typeof values[0] === 'number' ? 'number' : 'string', enum: values, example: values[0] } : { type: 'string' };
+  }
+
+  if (kind === 'Object') {
+    const schema = args[0] && args[0].type === 'ObjectExpression'
+      ? resolveObject(args[0], schemaDefs, depth, seen)
+      : { type: 'object' };
+    return applyOptions(schema, args[1]);
+  }
+
+  if (kind === 'Array') {
+    return applyOptions({ type: 'array', items: resolveTypeBoxSchema(args[0], schemaDefs, depth + 1, seen) }, args[1]);
+  }
+
+  if (kind === 'Optional') {
+    const base = resolveTypeBoxSchema(args[0], schemaDefs, depth + 1, seen);
+    base.optional = true;
+    return base;
+  }
+
+  if (kind === 'Nullable' || kind === 'MaybeEmpty') {
+    const base = resolveTypeBoxSchema(args[0], schemaDefs, depth + 1, seen);
+    base.nullable = true;
+    return base;
+  }
+
+  if (kind === 'Partial' || kind === 'Required') {
+    const base = resolveTypeBoxSchema(args[0], schemaDefs, depth + 1, seen);
+    if (!base.properties) return base;
+    const properties = {};
+    for (const [key, value] of Object.entries(base.properties)) {
+      const { optional, ...rest } = value;
+      properties[key] = kind === 'Partial' ? { ...rest, optional: true } : rest;
+    }
+    return {
+      ...base,
+      properties,
+      required: kind === 'Partial' ? undefined : Object.keys(properties)
+    };
+  }
+
+  if ((kind === 'Intersect' || kind === 'Composite') && args[0] && args[0].type === 'ArrayExpression') {
+    const merged = { type: 'object', properties: {}, required: [] };
+    for (const el of args[0].elements || []) {
+      const part = resolveTypeBoxSchema(el, schemaDefs, depth + 1, seen);
+      Object.assign(merged.properties, part.properties || {});
+      merged.required.push(...(part.required || []));
+    }
+    if (!merged.required.length) merged.required = undefined;
+    return merged;
+  }
+
+  if (kind === 'Record') return { type: 'object' };
+
+  return { type: 'string' };
+}
+
+module.exports = { resolveTypeBoxSchema, isTypeBoxCall };
@@ -18,10 +18,19 @@ function buildPatterns(templates) {
 }
 
 const FRAMEWORK_PRESETS = {
-  auto: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*.controller.ts', '**/*router.{js,ts}']),
-  nestjs: buildPatterns(['**/*.controller.ts', '**/routes.ts', '**/*.routes.ts']),
-  express: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*router.{js,ts}']),
-  hono: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*.route.{js,ts}'])
+  auto: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*.controller.ts', '**/*Controller.ts', '**/*.resolver.ts', '**/*.gateway.ts', '**/*router.{js,ts}', '**/{app,server,index}.{js,ts}']),
+  nestjs: buildPatterns(['**/*.controller.ts', '**/*Controller.ts', '**/*.resolver.ts', '**/*.gateway.ts', '**/routes.ts', '**/*.routes.ts']),
+  express: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*router.{js,ts}', '**/{app,server,index}.{js,ts}']),
+  hono: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*.route.{js,ts}']),
+  fastify: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/routes/**/*.{js,ts}', '**/plugins/**/*.{js,ts}', '**/{app,server}.{js,ts}']),
+  koa: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/*router.{js,ts}', '**/routes/**/*.{js,ts}']),
+  nextjs: ['app/**/route.{js,ts}', 'src/app/**/route.{js,ts}', 'apps/*/app/**/route.{js,ts}', 'apps/*/src/app/**/route.{js,ts}'],
+  nitro: ['server/{api,routes}/**/*.{js,ts}', 'apps/*/server/{api,routes}/**/*.{js,ts}'],
+  sveltekit: ['src/routes/**/+server.{js,ts}', 'apps/*/src/routes/**/+server.{js,ts}'],
+  remix: ['app/routes/**/*.{js,ts,jsx,tsx}', 'apps/*/app/routes/**/*.{js,ts,jsx,tsx}'],
+  trpc: buildPatterns(['**/routers/**/*.{js,ts}', '**/*router.{js,ts}', '**/trpc.{js,ts}', '**/root.{js,ts}']),
+  elysia: buildPatterns(['**/*.{js,ts}']),
+  hapi: buildPatterns(['**/routes.{js,ts}', '**/*.routes.{js,ts}', '**/routes/**/*.{js,ts}', '**/plugins/**/*.{js,ts}', '**/{app,server,index}.{js,ts}'])
 };
 
 function getPrompt() {
@@ -102,6 +111,15 @@ function prettyFramework(framework) {
   if (framework === 'nestjs') return 'NestJS';
   if (framework === 'express') return 'Express';
   if (framework === 'hono') return 'Hono';
+  if (framework === 'fastify') return 'Fastify';
+  if (framework === 'koa') return 'Koa';
+  if (framework === 'nextjs') return 'Next.js';
+  if (framework === 'nitro') return 'Nitro';
+  if (framework === 'sveltekit') return 'SvelteKit';
+  if (framework === 'remix') return 'Remix';
+  if (framework === 'trpc') return 'tRPC';
+  if (framework === 'elysia') return 'Elysia';
+  if (framework === 'hapi') return 'Hapi';
   return 'Auto-detect';
 }
 
@@ -129,12 +147,16 @@ function hasAnyDependency(pkg, names) {
 }
 
 async function detectFramework(projectDir) {
-  const scores = { nestjs: 0, express: 0, hono: 0 };
+  const scores = { nestjs: 0, express: 0, hono: 0, fastify: 0, koa: 0, nextjs: 0, nitro: 0, sveltekit: 0, remix: 0, trpc: 0, elysia: 0, hapi: 0 };
   let grpcDetected = false;
 
   const pkg = await readPackageJson(projectDir);
   if (pkg) {
-    if (hasAnyDependency(pkg, ['@nestjs/common', '@nestjs/core', '@nestjs/microservices'])) {
+    if (hasAnyDependency(pkg, ['@nestjs/common', '@nestjs/core', '@nestjs/microservices', '@nestjs/graphql', '@nestjs/websockets'])) {
+      scores.nestjs += 6;
+    }
+    // routing-controllers and tsoa controllers go through the NestJS extractor
+    if (hasAnyDependency(pkg, ['routing-controllers', 'tsoa'])) {
       scores.nestjs += 6;
     }
     if (hasAnyDependency(pkg, ['hono', '@hono/node-server', '@hono/zod-openapi'])) {
@@ -143,6 +165,33 @@ async function detectFramework(projectDir) {
     if (hasAnyDependency(pkg, ['express'])) {
       scores.express += 6;
     }
+    if (hasAnyDependency(pkg, ['fastify', 'fastify-plugin'])) {
+      scores.fastify += 6;
+    }
+    if (hasAnyDependency(pkg, ['@koa/router', 'koa-router'])) {
+      scores.koa += 6;
+    }
+    if (hasAnyDependency(pkg, ['next'])) {
+      scores.nextjs += 6;
+    }
+    if (hasAnyDependency(pkg, ['nuxt', 'nitropack'])) {
+      scores.nitro += 6;
+    }
+    if (hasAnyDependency(pkg, ['@sveltejs/kit'])) {
+      scores.sveltekit += 6;
+    }
+    if (hasAnyDependency(pkg, ['@remix-run/node', '@remix-run/cloudflare', '@remix-run/deno', '@remix-run/server-runtime'])) {
+      scores.remix += 6;
+    }
+    if (hasAnyDependency(pkg, ['elysia'])) {
+      scores.elysia += 6;
+    }
+    if (hasAnyDependency(pkg, ['@hapi/hapi', 'hapi'])) {
+      scores.hapi += 6;
+    }
+    if (hasAnyDependency(pkg, ['@trpc/server'])) {
+      scores.trpc += 6;
+    }
     if (hasAnyDependency(pkg, ['@grpc/grpc-js', '@grpc/proto-loader'])) {
       scores.nestjs += 2;
       grpcDetected = true;
@@ -152,10 +201,16 @@ async function detectFramework(projectDir) {
   const files = await fg(
     [
       '**/*.controller.ts',
+      '**/*.resolver.ts',
+      '**/*.gateway.ts',
       '**/*.routes.{js,ts}',
       '**/routes.{js,ts}',
       '**/*router.{js,ts}',
       '**/*hono*.{js,ts}',
+      '**/*fastify*.{js,ts}',
+      '**/app/**/route.{js,ts}',
+      '**/server/{api,routes}/**/*.{js,ts}',
+      '**/routes/**/+server.{js,ts}',
       '**/*grpc*.controller.ts',
       '**/*.proto'
     ],
@@ -167,14 +222,22 @@ async function detectFramework(projectDir) {
     }
   );
 
-  if (files.some((f) => /\.controller\.ts$/i.test(f))) scores.nestjs += 2;
+  if (files.some((f) => /\.(controller|resolver|gateway)\.ts$/i.test(f))) scores.nestjs += 2;
   if (files.some((f) => /routes\.ts$/i.test(f) || /\.routes\.ts$/i.test(f))) {
     scores.nestjs += 1;
     scores.hono += 2;
     scores.express += 2;
+    scores.fastify += 1;
+  }
+  if (files.some((f) => /router\.(js|ts)$/i.test(f))) {
+    scores.express += 3;
+    scores.koa += 1;
   }
-  if (files.some((f) => /router\.(js|ts)$/i.test(f))) scores.express += 3;
   if (files.some((f) => /hono/i.test(f))) scores.hono += 3;
+  if (files.some((f) => /fastify/i.test(f))) scores.fastify += 3;
+  if (files.some((f) => /(^|\/)app\/(.+\/)?route\.(js|ts)$/i.test(f))) scores.nextjs += 3;
+  if (files.some((f) => /(^|\/)server\/(api|routes)\//i.test(f))) scores.nitro += 3;
+  if (files.some((f) => /\+server\.(js|ts)$/i.test(f))) scores.sveltekit += 3;
 
   if (files.some((f) => /grpc.*\.controller\.ts$/i.test(f) || /\.grpc\./i.test(f))) {
     scores.nestjs += 3;
@@ -185,6 +248,11 @@ async function detectFramework(projectDir) {
     grpcDetected = true;
   }
 
+  // tRPC is served through another HTTP framework; auto mode extracts both
+  if (scores.trpc > 0 && Object.entries(scores).some(([name, score]) => name !== 'trpc' && score > 0)) {
+    return { framework: 'auto', grpcDetected, reason: 'tRPC detected alongside an HTTP framework.' };
+  }
+
   const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
   const top = ranked[0];
   const second = ranked[1];
@@ -241,9 +309,18 @@ async function initConfig({ baseDir } = {}) {
 
   const frameworkChoices = [
     { name: 'Auto-detect', value: 'auto' },
-    { name: 'NestJS (HTTP + gRPC)', value: 'nestjs' },
+    { name: 'NestJS (HTTP + GraphQL + gRPC + WebSockets), routing-controllers, tsoa', value: 'nestjs' },
     { name: 'Express', value: 'express' },
-    { name: 'Hono', value: 'hono' }
+    { name: 'Hono', value: 'hono' },
+    { name: 'Fastify', value: 'fastify' },
+    { name: 'Koa', value: 'koa' },
+    { name: 'Next.js (App Router)', value: 'nextjs' },
+    { name: 'Nitro / Nuxt server routes', value: 'nitro' },
+    { name: 'SvelteKit (+server endpoints)', value: 'sveltekit' },
+    { name: 'Remix (resource routes)', value: 'remix' },
+    { name: 'tRPC', value: 'trpc' },
+    { name: 'Elysia', value: 'elysia' },
+    { name: 'Hapi', value: 'hapi' }
   ];
 
   const defaultBaseUrlMode = (detectedApps.length > 1 || detected.grpcDetected) ? 'multi' : 'single';
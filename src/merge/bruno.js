@@ -0,0 +1,185 @@
+const {
+  DEFAULT_ENVIRONMENT_NAME,
+  METHOD_BLOCKS,
+  buildBrunoCollection,
+  buildBrunoConfig,
+  requestToBlocks,
+  environmentToBlocks,
+  brunoRequestKey,
+  serializeBru,
+  parseBru
+} = require('../collection/bruno');
+const { sanitizeFileName, graphqlOperationKey } = require('../utils');
+
+function mergeBrunoCollection(endpoints, config, existingFiles) {
+  const generated = buildBrunoCollection(endpoints, config);
+  const existing = existingFiles || new Map();
+  const files = new Map();
+  const removed = [];
+
+  const configFile = existing.has('bruno.json')
+    ? { ...safeJson(existing.get('bruno.json')), name: generated.name }
+    : buildBrunoConfig(generated);
+  files.set('bruno.json', `${JSON.stringify(configFile, null, 2)}\n`);
+
+  const envPath = `environments/${sanitizeFileName(generated.environment.name, DEFAULT_ENVIRONMENT_NAME)}.bru`;
+  const envBlocks = environmentToBlocks(generated.environment);
+  if (existing.has(envPath)) {
+    envBlocks[0] = mergeEnvironmentVars(envBlocks[0], parseBru(existing.get(envPath)));
+  }
+  files.set(envPath, serializeBru(envBlocks));
+
+  const existingMap = new Map();
+  for (const [relPath, text] of existing.entries()) {
+    if (!relPath.endsWith('.bru') || relPath.startsWith('environments/')) continue;
+    const blocks = parseBru(text);
+    const key = keyFromBlocks(blocks);
+    if (key) existingMap.set(key, { relPath, blocks });
+  }
+
+  const generatedKeys = new Set();
+  for (const request of generated.requests) {
+    generatedKeys.add(request.key);
+    const blocks = requestToBlocks(request);
+    const match = existingMap.get(request.key);
+    if (match) {
+      files.set(request.relPath, serializeBru(mergeRequestBlocks(blocks, match.blocks)));
+      if (match.relPath !== request.relPath) removed.push(match.relPath);
+    } else {
+      files.set(request.relPath, serializeBru(blocks));
+    }
+  }
+
+  if (config.merge && config.merge.markDeprecated) {
+    for (const [key, match] of existingMap.entries()) {
+      if (generatedKeys.has(key) || files.has(match.relPath)) continue;
+      files.set(match.relPath, serializeBru(markDeprecated(match.blocks)));
+    }
+  }
+
+  return { files, removed: removed.filter((relPath) => !files.has(relPath)) };
+}
+
+function keyFromBlocks(blocks) {
+  const methodBlock = blocks.find((b) => METHOD_BLOCKS.includes(b.name));
+  if (!methodBlock) return null;
+  const url = getEntry(methodBlock, 'url');
+  if (url === undefined) return null;
+  // GraphQL operations share one URL, so the operation in the query tells them apart
+  const graphql = blocks.find((b) => b.name === 'body:graphql');
+  return `${brunoRequestKey(methodBlock.name, url)}${graphql ? graphqlOperationKey(graphql.text) : ''}`;
+}
+
+function mergeRequestBlocks(generatedBlocks, existingBlocks) {
+  const generatedByName = new Map(generatedBlocks.map((b) => [b.name, b]));
+  const existingByName = new Map(existingBlocks.map((b) => [b.name, b]));
+  const methodBlock = generatedBlocks.find((b) => METHOD_BLOCKS.includes(b.name));
+  const shouldDropBody = ['get', 'delete', 'head', 'options'].includes(methodBlock.name);
+  const out = [];
+
+  for (const block of existingBlocks) {
+    if (generatedByName.has(block.name)) continue;
+    if (METHOD_BLOCKS.includes(block.name)) continue;
+    if (['params:query', 'params:path'].includes(block.name)) continue;
+    if (block.name.startsWith('body:') && shouldDropBody) continue;
+    out.push(block);
+  }
+
+  for (const block of generatedBlocks) {
+    const previous = existingByName.get(block.name);
+    if (block.name === 'meta' && previous) {
+      out.push(mergeEntries(block, previous, ['name', 'type']));
+    } else if (block === methodBlock) {
+      const existingMethod = existingBlocks.find((b) => METHOD_BLOCKS.includes(b.name));
+      out.push(existingMethod ? mergeEntries(block, existingMethod, ['url', 'body']) : block);
+    } else if (block.name === 'headers' && previous) {
+      out.push(mergeHeaders(block, previous));
+    } else {
+      out.push(block);
+    }
+  }
+
+  // The body mode is owned by code when it has a body; otherwise keep the user's body block
+  const merged = out.find((b) => b.name === methodBlock.name);
+  const keptBody = out.find((b) => b.name.startsWith('body:'));
+  if (getEntry(merged, 'body') === 'none' && keptBody) {
+    setEntry(merged, 'body', keptBody.name.slice('body:'.length));
+  }
+
+  return out;
+}
+
+function mergeEntries(generated, existing, codeOwnedKeys) {
+  const entries = existing.entries.map((entry) => ({ ...entry }));
+  for (const entry of generated.entries) {
+    const idx = entries.findIndex((e) => e.key === entry.key);
+    if (idx === -1) {
+      entries.push({ ...entry });
+    } else if (codeOwnedKeys.includes(entry.key)) {
+      entries[idx] = { ...entry };
+    }
+  }
+  return { name: generated.name, entries };
+}
+
+function mergeHeaders(generated, existing) {
+  const map = new Map();
+  for (const h of existing.entries) {
+    if (!h || !h.key) continue;
+    map.set(h.key.toLowerCase(), h);
+  }
+  for (const h of generated.entries) {
+    if (!h || !h.key) continue;
+    map.set(h.key.toLowerCase(), h);
+  }
+  return { name: 'headers', entries: Array.from(map.values()) };
+}
+
+function mergeEnvironmentVars(generated, existingBlocks) {
+  const existingVars = existingBlocks.find((b) => b.name === 'vars');
+  if (!existingVars) return generated;
+
+  const entries = generated.entries.map((entry) => {
+    // Base URLs come from config; everything else (tokens, ids) keeps the user's value
+    if (/^baseUrl(_|$)/.test(entry.key)) return entry;
+    const previous = existingVars.entries.find((e) => e.key === entry.key);
+    return previous ? { ...entry, value: previous.value } : entry;
+  });
+
+  for (const entry of existingVars.entries) {
+    if (!entries.find((e) => e.key === entry.key)) entries.push(entry);
+  }
+
+  return { name: 'vars', entries };
+}
+
+function markDeprecated(blocks) {
+  return blocks.map((block) => {
+    if (block.name !== 'meta') return block;
+    const entries = block.entries.map((entry) => {
+      if (entry.key !== 'name' || String(entry.value).startsWith('[DEPRECATED]')) return entry;
+      return { ...entry, value: `[DEPRECATED] ${entry.value}` };
+    });
+    return { ...block, entries };
+  });
+}
+
+function getEntry(block, key) {
+  const entry = (block.entries || []).find((e) => e.key === key);
+  return entry ? entry.value : undefined;
+}
+
+function setEntry(block, key, value) {
+  const entry = block.entries.find((e) => e.key === key);
+  if (entry) entry.value = value;
+}
+
+function safeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+module.exports = { mergeBrunoCollection };
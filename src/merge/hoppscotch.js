@@ -0,0 +1,23 @@
+function mergeHoppscotchEnvironment(generated, existing) {
+  if (!existing || !Array.isArray(existing.variables)) return generated;
+
+  const existingVars = new Map(existing.variables.filter((v) => v && v.key).map((v) => [v.key, v]));
+  const variables = generated.variables.map((v) => {
+    const previous = existingVars.get(v.key);
+    // Base URLs come from config; a token or id typed in by the user is kept unless config sets one
+    if (!previous || /^baseUrl(_|$)/.test(v.key) || v.value !== '') return v;
+    return { ...v, value: previous.value };
+  });
+
+  for (const v of existing.variables) {
+    if (v && v.key && !variables.find((g) => g.key === v.key)) variables.push(v);
+  }
+
+  return {
+    ...existing,
+    ...generated,
+    variables
+  };
+}
+
+module.exports = { mergeHoppscotchEnvironment };
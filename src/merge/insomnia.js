@@ -1,8 +1,11 @@
-const { buildInsomniaCollection } = require('../collection/insomnia');
-const { normalizePath } = require('../utils');
+const { buildInsomniaCollection, resolveInsomniaFormat } = require('../collection/insomnia');
+const { normalizePath, graphqlOperationKey } = require('../utils');
 
 function mergeInsomniaCollection(endpoints, config, existing) {
   const generated = buildInsomniaCollection(endpoints, config);
+  if (resolveInsomniaFormat(config) === 'v5') {
+    return mergeInsomniaV5Collection(generated, config, existing);
+  }
   if (!existing || !existing.resources) return generated;
 
   const generatedRequests = generated.resources.filter((r) => r._type === 'request');
@@ -36,18 +39,141 @@ function mergeInsomniaCollection(endpoints, config, existing) {
     }
   }
 
-  const nonRequestResources = generated.resources.filter((r) => r._type !== 'request');
+  const { resources, ids } = mergeNonRequestResources(
+    generated.resources.filter((r) => r._type !== 'request'),
+    existing.resources.filter((r) => r._type !== 'request')
+  );
+  // New requests hang off the generated workspace; point them at the existing one
+  const requests = mergedRequests.map((r) => (ids.has(r.parentId) ? { ...r, parentId: ids.get(r.parentId) } : r));
+
+  return {
+    ...existing,
+    resources: [...resources, ...requests]
+  };
+}
+
+function mergeNonRequestResources(generatedResources, existingResources) {
+  // Socket resources have stable IDs; the workspace and environment are matched by type and name
+  const ids = new Map();
+  const existingById = new Map(existingResources.map((r) => [r._id, r]));
+  const merged = generatedResources.map((resource) => {
+    const previous = existingById.get(resource._id)
+      || existingResources.find((r) => ['workspace', 'environment'].includes(r._type)
+        && r._type === resource._type && r.name === resource.name);
+    if (!previous) return resource;
+    ids.set(resource._id, previous._id);
+    const out = { ...previous, ...resource, _id: previous._id };
+    if (Array.isArray(resource.headers)) out.headers = mergeHeaders(resource.headers, previous.headers || []);
+    if (resource.data) out.data = { ...(previous.data || {}), ...resource.data };
+    return out;
+  });
+
+  return {
+    ids,
+    resources: merged.map((r) => (ids.has(r.parentId) ? { ...r, parentId: ids.get(r.parentId) } : r))
+  };
+}
+
+function mergeInsomniaV5Collection(generated, config, existing) {
+  if (!existing || !Array.isArray(existing.collection)) return generated;
+
+  const existingMap = new Map();
+  const existingGroups = new Map();
+  walkV5Children(existing.collection, [], (req) => {
+    // WebSocket requests have no method; they are matched by their stable meta.id
+    const key = keyFromRequest(req) || (req.meta && req.meta.id);
+    if (key) existingMap.set(key, req);
+  }, (group, groupPath) => {
+    existingGroups.set(groupPath.join('/'), group);
+  });
+
+  const generatedKeys = new Set();
+  const collection = mergeV5Children(generated.collection, [], existingMap, existingGroups, generatedKeys);
+
+  if (config.merge && config.merge.markDeprecated) {
+    for (const [key, req] of existingMap.entries()) {
+      if (generatedKeys.has(key)) continue;
+      const deprecated = { ...req };
+      deprecated.name = String(deprecated.name || '').startsWith('[DEPRECATED]')
+        ? deprecated.name
+        : `[DEPRECATED] ${deprecated.name}`;
+      collection.push(deprecated);
+    }
+  }
 
   return {
     ...existing,
-    resources: [...nonRequestResources, ...mergedRequests]
+    type: generated.type,
+    collection,
+    environments: mergeV5Environment(generated.environments, existing.environments)
   };
 }
 
+function mergeV5Environment(generated, existing) {
+  if (!existing || !existing.data) return generated;
+  return {
+    ...existing,
+    ...generated,
+    meta: existing.meta || generated.meta,
+    data: { ...existing.data, ...generated.data }
+  };
+}
+
+function walkV5Children(children, groupPath, onRequest, onGroup) {
+  for (const child of children || []) {
+    if (!child) continue;
+    if (Array.isArray(child.children)) {
+      const childPath = [...groupPath, child.name];
+      onGroup(child, childPath);
+      walkV5Children(child.children, childPath, onRequest, onGroup);
+    } else {
+      onRequest(child);
+    }
+  }
+}
+
+function mergeV5Children(children, groupPath, existingMap, existingGroups, generatedKeys) {
+  return children.map((child) => {
+    if (Array.isArray(child.children)) {
+      const childPath = [...groupPath, child.name];
+      const previous = existingGroups.get(childPath.join('/'));
+      return {
+        ...(previous || {}),
+        ...child,
+        meta: previous && previous.meta ? previous.meta : child.meta,
+        children: mergeV5Children(child.children, childPath, existingMap, existingGroups, generatedKeys)
+      };
+    }
+
+    const key = keyFromRequest(child) || (child.meta && child.meta.id);
+    if (key) generatedKeys.add(key);
+    if (key && existingMap.has(key)) {
+      const previous = existingMap.get(key);
+      if (!child.method) {
+        return { ...previous, ...child, meta: previous.meta || child.meta };
+      }
+      return {
+        ...mergeRequest(child, previous),
+        meta: previous.meta || child.meta
+      };
+    }
+    return child;
+  });
+}
+
 function keyFromRequest(req) {
   if (!req || !req.method || !req.url) return null;
   const url = req.url.replace(/\{\{\s*_.baseUrl\s*\}\}/i, '');
-  return `${req.method.toUpperCase()} ${normalizePath(url)}`;
+  return `${req.method.toUpperCase()} ${normalizePath(url)}${graphqlBodyKey(req.body)}`;
+}
+
+function graphqlBodyKey(body) {
+  if (!body || body.mimeType !== 'application/graphql') return '';
+  try {
+    return graphqlOperationKey(JSON.parse(body.text || '{}').query);
+  } catch {
+    return '';
+  }
 }
 
 function mergeRequest(newReq, existingReq) {
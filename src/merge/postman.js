@@ -1,8 +1,12 @@
-const { buildPostmanCollection } = require('../collection/postman');
-const { toPostmanPath, normalizePath } = require('../utils');
+const { buildPostmanCollection, buildPostmanEnvironments, isEnvironmentVariableKey } = require('../collection/postman');
+const { toPostmanPath, normalizePath, graphqlOperationKey } = require('../utils');
 
 function mergePostmanCollection(endpoints, config, existing) {
   const generated = buildPostmanCollection(endpoints, config);
+  if (buildPostmanEnvironments(config).length) {
+    // Base URLs and the auth token live in the environment files, so the collection only references them
+    generated.variable = generated.variable.filter((v) => !isEnvironmentVariableKey(v.key));
+  }
   if (!existing || !existing.item) return generated;
 
   const newItems = flattenPostmanItems(generated.item);
@@ -46,6 +50,29 @@ function mergePostmanCollection(endpoints, config, existing) {
   };
 }
 
+function mergePostmanEnvironment(generated, existing) {
+  if (!existing || !Array.isArray(existing.values)) return generated;
+
+  const existingValues = new Map(existing.values.filter((v) => v && v.key).map((v) => [v.key, v]));
+  const values = generated.values.map((v) => {
+    const previous = existingValues.get(v.key);
+    // Base URLs come from config; a token or id typed in by the user is kept unless config sets one
+    if (!previous || /^baseUrl(_|$)/.test(v.key) || v.value !== '') return v;
+    return { ...v, value: previous.value };
+  });
+
+  for (const v of existing.values) {
+    if (v && v.key && !values.find((g) => g.key === v.key)) values.push(v);
+  }
+
+  return {
+    ...existing,
+    ...generated,
+    id: existing.id || generated.id,
+    values
+  };
+}
+
 function flattenPostmanItems(items, out = []) {
   for (const item of items) {
     if (item.item && Array.isArray(item.item)) {
@@ -133,7 +160,12 @@ function keyFromPostmanItem(item) {
     path = `/${url.path.join('/')}`;
   }
   path = toPostmanPath(path || '/');
-  return `${method.toUpperCase()} ${normalizePath(path)}`;
+  return `${method.toUpperCase()} ${normalizePath(path)}${graphqlBodyKey(item.request.body)}`;
+}
+
+function graphqlBodyKey(body) {
+  if (!body || body.mode !== 'graphql' || !body.graphql) return '';
+  return graphqlOperationKey(body.graphql.query);
 }
 
 function mergePostmanItem(newItem, existingItem) {
@@ -183,4 +215,4 @@ function mergeHeaders(codeHeaders, existingHeaders) {
   return Array.from(map.values());
 }
 
-module.exports = { mergePostmanCollection };
+module.exports = { mergePostmanCollection, mergePostmanEnvironment };
@@ -0,0 +1,149 @@
+const { buildThunderCollection, thunderRequestKey } = require('../collection/thunder-client');
+
+function mergeThunderCollection(endpoints, config, existing) {
+  const generated = buildThunderCollection(endpoints, config);
+  if (!existing || !Array.isArray(existing.requests)) return generated;
+
+  // Reuse collection and folder IDs so Thunder Client sees updates, not a new collection
+  const existingColId = existing.requests.length ? existing.requests[0].colId : existing._id || null;
+  const colId = existingColId || (generated.requests[0] && generated.requests[0].colId);
+
+  const existingFolderPaths = folderPathMap(existing.folders || []);
+  const existingFoldersByPath = new Map();
+  for (const folder of existing.folders || []) {
+    existingFoldersByPath.set(existingFolderPaths.get(folder._id), folder);
+  }
+
+  const generatedFolderPaths = folderPathMap(generated.folders);
+  const folderIdMap = new Map();
+  const folders = generated.folders.map((folder) => {
+    const previous = existingFoldersByPath.get(generatedFolderPaths.get(folder._id));
+    const id = previous ? previous._id : folder._id;
+    folderIdMap.set(folder._id, id);
+    return { ...folder, _id: id, created: previous ? previous.created : folder.created };
+  });
+  for (const folder of folders) {
+    if (folder.containerId) folder.containerId = folderIdMap.get(folder.containerId) || folder.containerId;
+  }
+
+  const existingMap = new Map();
+  for (const req of existing.requests) {
+    const key = thunderRequestKey(req);
+    if (key) existingMap.set(key, req);
+  }
+
+  const generatedKeys = new Set();
+  const requests = generated.requests.map((req) => {
+    const key = thunderRequestKey(req);
+    if (key) generatedKeys.add(key);
+    const placed = {
+      ...req,
+      colId,
+      containerId: req.containerId ? folderIdMap.get(req.containerId) || req.containerId : ''
+    };
+    if (key && existingMap.has(key)) return mergeThunderRequest(placed, existingMap.get(key));
+    return placed;
+  });
+
+  if (config.merge && config.merge.markDeprecated) {
+    const folderIds = new Set(folders.map((f) => f._id));
+    for (const [key, req] of existingMap.entries()) {
+      if (generatedKeys.has(key)) continue;
+      const deprecated = { ...req, colId };
+      deprecated.name = String(deprecated.name || '').startsWith('[DEPRECATED]')
+        ? deprecated.name
+        : `[DEPRECATED] ${deprecated.name}`;
+      if (deprecated.containerId && !folderIds.has(deprecated.containerId)) deprecated.containerId = '';
+      requests.push(deprecated);
+    }
+  }
+
+  return {
+    ...existing,
+    ...generated,
+    folders,
+    requests
+  };
+}
+
+function mergeThunderEnvironment(generated, existing) {
+  if (!existing || !Array.isArray(existing.data)) return generated;
+
+  const existingVars = new Map(existing.data.filter((v) => v && v.name).map((v) => [v.name, v]));
+  const data = generated.data.map((v) => {
+    const previous = existingVars.get(v.name);
+    // Base URLs come from config; a token or id typed in by the user is kept unless config sets one
+    if (!previous || /^baseUrl(_|$)/.test(v.name) || v.value !== '') return v;
+    return { ...v, value: previous.value };
+  });
+
+  for (const v of existing.data) {
+    if (v && v.name && !data.find((g) => g.name === v.name)) data.push(v);
+  }
+
+  return {
+    ...existing,
+    ...generated,
+    data
+  };
+}
+
+function folderPathMap(folders) {
+  const byId = new Map(folders.map((f) => [f._id, f]));
+  const paths = new Map();
+  for (const folder of folders) {
+    const names = [];
+    let current = folder;
+    const seen = new Set();
+    while (current && !seen.has(current._id)) {
+      seen.add(current._id);
+      names.unshift(current.name);
+      current = current.containerId ? byId.get(current.containerId) : null;
+    }
+    paths.set(folder._id, names.join('/'));
+  }
+  return paths;
+}
+
+function mergeThunderRequest(newReq, existingReq) {
+  const method = newReq.method || existingReq.method;
+  const shouldDropBody = ['GET', 'DELETE', 'HEAD', 'OPTIONS'].includes(String(method || '').toUpperCase());
+
+  const merged = {
+    ...existingReq,
+    colId: newReq.colId,
+    containerId: newReq.containerId,
+    name: newReq.name || existingReq.name,
+    url: newReq.url || existingReq.url,
+    method,
+    sortNum: newReq.sortNum,
+    modified: newReq.modified,
+    headers: mergeHeaders(newReq.headers || [], existingReq.headers || []),
+    params: newReq.params,
+    // Auth set up by the user wins; the generated bearer auth only fills a request that has none
+    auth: existingReq.auth && existingReq.auth.type !== 'none' ? existingReq.auth : newReq.auth
+  };
+
+  if (newReq.body !== undefined) {
+    merged.body = newReq.body;
+  } else if (shouldDropBody) {
+    delete merged.body;
+  }
+
+  return merged;
+}
+
+function mergeHeaders(codeHeaders, existingHeaders) {
+  const map = new Map();
+  for (const h of existingHeaders) {
+    if (!h || !h.name) continue;
+    map.set(h.name.toLowerCase(), h);
+  }
+  for (const h of codeHeaders) {
+    if (!h || !h.name) continue;
+    map.set(h.name.toLowerCase(), h);
+  }
+  return Array.from(map.values());
+}
+
+module.exports = { mergeThunderCollection, mergeThunderEnvironment };
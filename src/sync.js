@@ -1,13 +1,31 @@
 const fs = require('fs-extra');
 const fg = require('fast-glob');
 const path = require('path');
+const YAML = require('yaml');
 const { loadConfig, ensureAbsolute, normalizeIncludePatterns, normalizeExcludePatterns, ALWAYS_EXCLUDE, DEFAULT_INCLUDE } = require('./config');
 const { extractAllEndpoints } = require('./extract');
-const { mergePostmanCollection } = require('./merge/postman');
+const { mergePostmanCollection, mergePostmanEnvironment } = require('./merge/postman');
+const { buildPostmanEnvironments } = require('./collection/postman');
 const { mergeInsomniaCollection } = require('./merge/insomnia');
+const { resolveInsomniaFormat } = require('./collection/insomnia');
+const { mergeBrunoCollection } = require('./merge/bruno');
+const { mergeThunderCollection, mergeThunderEnvironment } = require('./merge/thunder-client');
+const {
+  buildThunderCollection,
+  buildThunderEnvironment,
+  toThunderWorkspaceCollection,
+  toThunderWorkspaceEnvironment,
+  thunderWorkspaceFileName
+} = require('./collection/thunder-client');
+const { buildMarkdownReference } = require('./collection/markdown');
+const { buildK6Script } = require('./collection/k6');
+const { buildHttpFiles, isGeneratedHttpFile } = require('./collection/http');
+const { buildHoppscotchCollection, buildHoppscotchEnvironment } = require('./collection/hoppscotch');
+const { mergeHoppscotchEnvironment } = require('./merge/hoppscotch');
+const { buildOpenApiDocument, resolveOpenApiFormat, serializeOpenApiDocument } = require('./collection/openapi');
 const postmanCloud = require('./sync/postman-cloud');
 const { info, warn, success, error } = require('./log');
-const { isJsOrTs } = require('./utils');
+const { isJsOrTs, isHttpEndpoint, sanitizeFileName } = require('./utils');
 
 async function syncOnce({ configPath, baseDir, postmanKey, postmanId } = {}) {
   try {
@@ -17,65 +35,27 @@ async function syncOnce({ configPath, baseDir, postmanKey, postmanId } = {}) {
     const pmKey = postmanKey || process.env.POSTMAN_API_KEY || (config.output && config.output.postman && config.output.postman.apiKey);
     const pmId = postmanId || process.env.POSTMAN_COLLECTION_ID || (config.output && config.output.postman && config.output.postman.collectionId);
 
-    const include = normalizeIncludePatterns(config.sources.include || [], cwd);
-    const exclude = Array.from(new Set([
-      ...normalizeExcludePatterns(config.sources.exclude || [], cwd),
-      ...ALWAYS_EXCLUDE
-    ]));
-
-    let files = await fg(include, { ignore: exclude, dot: false, cwd, absolute: true });
-    let jsTsFiles = files.filter(isJsOrTs);
-
-    if (jsTsFiles.length === 0) {
-      const fallbackInclude = normalizeIncludePatterns(DEFAULT_INCLUDE, cwd);
-      files = await fg(fallbackInclude, { ignore: exclude, dot: false, cwd, absolute: true });
-      jsTsFiles = files.filter(isJsOrTs);
-      if (jsTsFiles.length > 0) {
-        warn('No files matched configured include patterns. Falling back to default route/controller presets.');
-      }
-    }
-
-    if (jsTsFiles.length === 0) {
-      jsTsFiles = await autoDiscoverEndpointFiles(cwd, exclude);
-      if (jsTsFiles.length > 0) {
-        warn(`No files matched configured globs. Auto-discovered ${jsTsFiles.length} route/controller candidate file(s).`);
-      }
-    }
-
-    info(`Scanning ${jsTsFiles.length} file(s)...`);
-    if (jsTsFiles.length === 0) {
-      warn(`No files matched. cwd=${cwd}`);
-      warn(`include=${include.join(', ')}`);
-      warn(`exclude=${exclude.join(', ')}`);
-    }
-
-    let extracted = [];
-    try {
-      extracted = await extractAllEndpoints(jsTsFiles, config.framework);
-      if (extracted.length === 0 && config.framework && config.framework !== 'auto') {
-        const fallback = await extractAllEndpoints(jsTsFiles, 'auto');
-        if (fallback.length) {
-          warn(`No endpoints found for framework=${config.framework}. Falling back to auto-detect.`);
-          extracted = fallback;
-        }
-      }
-    } catch (err) {
-      warn(`Extraction failed: ${err.message || err}`);
-    }
-
-    const unique = new Map();
-    for (const e of extracted) unique.set(e.key, e);
-
-    const finalEndpoints = Array.from(unique.values());
-    info(`Found ${finalEndpoints.length} endpoint(s)`);
+    const finalEndpoints = await collectEndpoints(config, cwd);
+    const httpEndpoints = finalEndpoints.filter(isHttpEndpoint);
 
     if (config.output && config.output.postman && config.output.postman.enabled) {
       const outPath = ensureAbsolute(config.output.postman.outputPath, cwd);
       const existing = await readJsonIfExists(outPath);
-      const merged = mergePostmanCollection(finalEndpoints, config, existing);
+      const merged = mergePostmanCollection(httpEndpoints, config, existing);
       await fs.outputJson(outPath, merged, { spaces: 2 });
       success(`Postman collection written to ${path.relative(process.cwd(), outPath)}`);
 
+      const environments = buildPostmanEnvironments(config);
+      if (environments.length) {
+        const envDir = ensureAbsolute(config.output.postman.environmentsPath || './collections/environments', cwd);
+        for (const environment of environments) {
+          const envPath = path.join(envDir, `${sanitizeFileName(environment.name, 'environment')}.postman_environment.json`);
+          const existingEnv = await readJsonIfExists(envPath);
+          await fs.outputJson(envPath, mergePostmanEnvironment(environment, existingEnv), { spaces: 2 });
+        }
+        success(`${environments.length} Postman environment(s) written to ${path.relative(process.cwd(), envDir)}`);
+      }
+
       // Auto-sync checks
       if (pmKey && pmId) {
         info(`Pushing to Postman Cloud (ID: ${pmId})...`);
@@ -95,10 +75,96 @@ async function syncOnce({ configPath, baseDir, postmanKey, postmanId } = {}) {
 
     if (config.output && config.output.insomnia && config.output.insomnia.enabled) {
       const outPath = ensureAbsolute(config.output.insomnia.outputPath, cwd);
+      if (resolveInsomniaFormat(config) === 'v5') {
+        const existing = await readYamlIfExists(outPath);
+        const merged = mergeInsomniaCollection(finalEndpoints, config, existing);
+        await fs.outputFile(outPath, YAML.stringify(merged));
+      } else {
+        const existing = await readJsonIfExists(outPath);
+        const merged = mergeInsomniaCollection(finalEndpoints, config, existing);
+        await fs.outputJson(outPath, merged, { spaces: 2 });
+      }
+      success(`Insomnia collection written to ${path.relative(process.cwd(), outPath)}`);
+    }
+
+    if (config.output && config.output.openapi && config.output.openapi.enabled) {
+      const outPath = ensureAbsolute(config.output.openapi.outputPath, cwd);
+      const format = resolveOpenApiFormat(config.output.openapi, outPath);
+      const doc = buildOpenApiDocument(httpEndpoints, config);
+      await fs.outputFile(outPath, serializeOpenApiDocument(doc, format));
+      success(`OpenAPI ${format.toUpperCase()} spec written to ${path.relative(process.cwd(), outPath)}`);
+    }
+
+    if (config.output && config.output.bruno && config.output.bruno.enabled) {
+      const outDir = ensureAbsolute(config.output.bruno.outputPath, cwd);
+      const existing = await readBrunoFiles(outDir);
+      const { files, removed } = mergeBrunoCollection(httpEndpoints, config, existing);
+      for (const [relPath, contents] of files.entries()) {
+        await fs.outputFile(path.join(outDir, relPath), contents);
+      }
+      for (const relPath of removed) {
+        await fs.remove(path.join(outDir, relPath));
+      }
+      success(`Bruno collection written to ${path.relative(process.cwd(), outDir)}`);
+    }
+
+    if (config.output && config.output.http && config.output.http.enabled) {
+      const outDir = ensureAbsolute(config.output.http.outputPath, cwd);
+      const files = buildHttpFiles(httpEndpoints, config);
+      for (const [relPath, contents] of files.entries()) {
+        await fs.outputFile(path.join(outDir, relPath), contents);
+      }
+      // Files for folders that no longer exist (e.g. a renamed controller) would otherwise linger
+      for (const relPath of await findStaleHttpFiles(outDir, files)) {
+        await fs.remove(path.join(outDir, relPath));
+      }
+      success(`${files.size} .http file(s) written to ${path.relative(process.cwd(), outDir)}`);
+    }
+
+    if (config.output && config.output.hoppscotch && config.output.hoppscotch.enabled) {
+      const outPath = ensureAbsolute(config.output.hoppscotch.outputPath, cwd);
+      await fs.outputJson(outPath, buildHoppscotchCollection(httpEndpoints, config), { spaces: 2 });
+      success(`Hoppscotch collection written to ${path.relative(process.cwd(), outPath)}`);
+
+      if (config.output.hoppscotch.environmentPath) {
+        const envPath = ensureAbsolute(config.output.hoppscotch.environmentPath, cwd);
+        const existingEnv = await readJsonIfExists(envPath);
+        const environment = mergeHoppscotchEnvironment(buildHoppscotchEnvironment(httpEndpoints, config), existingEnv);
+        await fs.outputJson(envPath, environment, { spaces: 2 });
+        success(`Hoppscotch environment written to ${path.relative(process.cwd(), envPath)}`);
+      }
+    }
+
+    if (config.output && config.output.thunderClient && config.output.thunderClient.enabled) {
+      const outPath = ensureAbsolute(config.output.thunderClient.outputPath, cwd);
       const existing = await readJsonIfExists(outPath);
-      const merged = mergeInsomniaCollection(finalEndpoints, config, existing);
+      const merged = mergeThunderCollection(httpEndpoints, config, existing);
       await fs.outputJson(outPath, merged, { spaces: 2 });
-      success(`Insomnia collection written to ${path.relative(process.cwd(), outPath)}`);
+      success(`Thunder Client collection written to ${path.relative(process.cwd(), outPath)}`);
+
+      if (config.output.thunderClient.environmentPath) {
+        const envPath = ensureAbsolute(config.output.thunderClient.environmentPath, cwd);
+        const existingEnv = await readJsonIfExists(envPath);
+        const environment = mergeThunderEnvironment(buildThunderEnvironment(httpEndpoints, config), existingEnv);
+        await fs.outputJson(envPath, environment, { spaces: 2 });
+        success(`Thunder Client environment written to ${path.relative(process.cwd(), envPath)}`);
+      }
+
+      if (config.output.thunderClient.workspacePath) {
+        await writeThunderWorkspace(httpEndpoints, config, ensureAbsolute(config.output.thunderClient.workspacePath, cwd));
+      }
+    }
+
+    if (config.output && config.output.k6 && config.output.k6.enabled) {
+      const outPath = ensureAbsolute(config.output.k6.outputPath, cwd);
+      await fs.outputFile(outPath, buildK6Script(httpEndpoints, config));
+      success(`k6 script written to ${path.relative(process.cwd(), outPath)}`);
+    }
+
+    if (config.output && config.output.markdown && config.output.markdown.enabled) {
+      const outPath = ensureAbsolute(config.output.markdown.outputPath, cwd);
+      await fs.outputFile(outPath, buildMarkdownReference(httpEndpoints, config));
+      success(`Markdown API reference written to ${path.relative(process.cwd(), outPath)}`);
     }
   } catch (err) {
     error(err.stack || err.message || String(err));
@@ -106,6 +172,63 @@ async function syncOnce({ configPath, baseDir, postmanKey, postmanId } = {}) {
   }
 }
 
+async function collectEndpoints(config, cwd) {
+  const include = normalizeIncludePatterns(config.sources.include || [], cwd);
+  const exclude = Array.from(new Set([
+    ...normalizeExcludePatterns(config.sources.exclude || [], cwd),
+    ...ALWAYS_EXCLUDE
+  ]));
+
+  let files = await fg(include, { ignore: exclude, dot: false, cwd, absolute: true });
+  let jsTsFiles = files.filter(isJsOrTs);
+
+  if (jsTsFiles.length === 0) {
+    const fallbackInclude = normalizeIncludePatterns(DEFAULT_INCLUDE, cwd);
+    files = await fg(fallbackInclude, { ignore: exclude, dot: false, cwd, absolute: true });
+    jsTsFiles = files.filter(isJsOrTs);
+    if (jsTsFiles.length > 0) {
+      warn('No files matched configured include patterns. Falling back to default route/controller presets.');
+    }
+  }
+
+  if (jsTsFiles.length === 0) {
+    jsTsFiles = await autoDiscoverEndpointFiles(cwd, exclude);
+    if (jsTsFiles.length > 0) {
+      warn(`No files matched configured globs. Auto-discovered ${jsTsFiles.length} route/controller candidate file(s).`);
+    }
+  }
+
+  info(`Scanning ${jsTsFiles.length} file(s)...`);
+  if (jsTsFiles.length === 0) {
+    warn(`No files matched. cwd=${cwd}`);
+    warn(`include=${include.join(', ')}`);
+    warn(`exclude=${exclude.join(', ')}`);
+  }
+
+  const extractOptions = { graphqlEndpoint: config.graphql && config.graphql.endpoint };
+  let extracted = [];
+  try {
+    extracted = await extractAllEndpoints(jsTsFiles, config.framework, extractOptions);
+    if (extracted.length === 0 && config.framework && config.framework !== 'auto') {
+      const fallback = await extractAllEndpoints(jsTsFiles, 'auto', extractOptions);
+      if (fallback.length) {
+        warn(`No endpoints found for framework=${config.framework}. Falling back to auto-detect.`);
+        extracted = fallback;
+      }
+    }
+  } catch (err) {
+    warn(`Extraction failed: ${err.message || err}`);
+  }
+
+  const unique = new Map();
+  for (const e of extracted) unique.set(e.key, e);
+
+  const finalEndpoints = Array.from(unique.values());
+  info(`Found ${finalEndpoints.length} endpoint(s)`);
+
+  return finalEndpoints;
+}
+
 async function autoDiscoverEndpointFiles(cwd, exclude) {
   const discovered = await fg(['**/*.{ts,js,tsx,jsx}'], {
     cwd,
@@ -133,6 +256,20 @@ async function autoDiscoverEndpointFiles(cwd, exclude) {
   return Array.from(new Set(candidates)).sort();
 }
 
+async function writeThunderWorkspace(endpoints, config, workspaceDir) {
+  const collectionName = buildThunderCollection(endpoints, config).collectionName;
+  const colPath = path.join(workspaceDir, 'collections', thunderWorkspaceFileName('tc_col', collectionName));
+  const existing = await readJsonIfExists(colPath);
+  const collection = toThunderWorkspaceCollection(mergeThunderCollection(endpoints, config, existing));
+  await fs.outputJson(colPath, collection, { spaces: 2 });
+
+  const environment = buildThunderEnvironment(endpoints, config);
+  const envPath = path.join(workspaceDir, 'environments', thunderWorkspaceFileName('tc_env', environment.environmentName));
+  const existingEnv = await readJsonIfExists(envPath);
+  await fs.outputJson(envPath, toThunderWorkspaceEnvironment(mergeThunderEnvironment(environment, existingEnv)), { spaces: 2 });
+  success(`Thunder Client workspace files written to ${path.relative(process.cwd(), workspaceDir)}`);
+}
+
 async function readJsonIfExists(filePath) {
   if (await fs.pathExists(filePath)) {
     try {
@@ -145,4 +282,45 @@ async function readJsonIfExists(filePath) {
   return null;
 }
 
-module.exports = { syncOnce };
+async function readYamlIfExists(filePath) {
+  if (await fs.pathExists(filePath)) {
+    try {
+      return YAML.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      warn(`Failed to read existing collection at ${filePath}: ${err.message || err}`);
+      return null;
+    }
+  }
+  return null;
+}
+
+async function readBrunoFiles(dirPath) {
+  const files = new Map();
+  if (!await fs.pathExists(dirPath)) return files;
+  const entries = await fg(['**/*.bru', 'bruno.json'], { cwd: dirPath, dot: false });
+  for (const relPath of entries) {
+    try {
+      files.set(relPath, await fs.readFile(path.join(dirPath, relPath), 'utf8'));
+    } catch (err) {
+      warn(`Failed to read existing Bruno file at ${relPath}: ${err.message || err}`);
+    }
+  }
+  return files;
+}
+
+async function findStaleHttpFiles(dirPath, written) {
+  const stale = [];
+  if (!await fs.pathExists(dirPath)) return stale;
+  const entries = await fg(['**/*.http'], { cwd: dirPath, dot: false });
+  for (const relPath of entries) {
+    if (written.has(relPath)) continue;
+    try {
+      if (isGeneratedHttpFile(await fs.readFile(path.join(dirPath, relPath), 'utf8'))) stale.push(relPath);
+    } catch (err) {
+      warn(`Failed to read existing .http file at ${relPath}: ${err.message || err}`);
+    }
+  }
+  return stale;
+}
+
+module.exports = { syncOnce, collectEndpoints };
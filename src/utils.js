@@ -52,6 +52,25 @@ function toKey(method, pathStr) {
   return `${method.toUpperCase()} ${normalizePath(pathStr)}`;
 }
 
+function isHttpEndpoint(endpoint) {
+  // WebSocket events have no HTTP request form; only the Insomnia export gives them a section
+  return endpoint.protocol !== 'websocket';
+}
+
+function graphqlOperationKey(query) {
+  // GraphQL requests all share one URL; "query Users($id: ID!) { users" -> " query users"
+  const match = /^\s*(query|mutation|subscription)\b[^{]*{\s*([A-Za-z_][A-Za-z0-9_]*)/.exec(query || '');
+  return match ? ` ${match[1]} ${match[2]}` : '';
+}
+
+function sanitizeFileName(name, fallback = 'Untitled') {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|{}]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned || fallback;
+}
+
 function isJsOrTs(filePath) {
   if (filePath.endsWith('.d.ts') || filePath.endsWith('.d.tsx')) return false;
   const ext = path.extname(filePath).toLowerCase();
@@ -66,5 +85,8 @@ module.exports = {
   toPostmanPath,
   splitPath,
   toKey,
+  isHttpEndpoint,
+  graphqlOperationKey,
+  sanitizeFileName,
   isJsOrTs
 };